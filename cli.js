@@ -0,0 +1,265 @@
+#!/usr/bin/env node
+const fs = require('fs').promises;
+const { parseArgs } = require('util');
+const { loadConfigFile, ConfigError, DEFAULT_CONFIG_FILE } = require('./config-file');
+
+// Exit codes: 0 success, 1 unexpected failure, 2 bad usage or invalid configuration, 3 --fail-on threshold hit
+const EXIT = { OK: 0, FAILURE: 1, USAGE: 2, THRESHOLD: 3 };
+
+// --preset names -> the scripts that define them (see console-error-monitor-*.js)
+const PRESETS = {
+  default: './console-error-monitor',
+  v1: './console-error-monitor-v1',
+  v2: './console-error-monitor-v2',
+  v3: './console-error-monitor-v3',
+  v4: './console-error-monitor-v4',
+  grouperrors: './console-error-monitor-grouperrors',
+  update: './console-error-monitor-update'
+};
+
+const HELP = `Usage: node cli.js <command> [options]
+
+Commands:
+  scan                        Crawl once, write the reports and exit
+  schedule                    Crawl now and then on the configured schedule (default every 2 hours)
+  report <report.json>        Re-render the HTML report of an earlier run
+  diff <old.json> <new.json>  Compare two runs
+  validate-config             Check the configuration and input files
+  import-history [dir]        Backfill the run history from existing JSON reports
+
+Options:
+      --config <file>             JSON, YAML or JS config file (default: $MONITOR_CONFIG, or
+                                  ${DEFAULT_CONFIG_FILE} when a profile is given)
+      --profile <name>            Config file profile, e.g. qa1 or prod (default: $MONITOR_PROFILE,
+                                  then the file's defaultProfile)
+  -w, --workbook <path>           Excel workbook with <locale>_Paths sheets
+  -s, --sheets <list>             Sheets or locales to crawl, comma separated (default: all)
+  -b, --base-url <url>            Origin to crawl; repeat for more than one
+  -c, --concurrency <n>           Pages loaded in parallel (default 10)
+  -t, --timeout <ms>              Navigation timeout (default 30000)
+  -o, --output-dir <dir>          Where reports are written (default ./reports)
+      --browser-rotation-limit <n>  URLs per browser before it is restarted (default 50)
+  -p, --preset <name>             Start from a preset: ${Object.keys(PRESETS).join(', ')}
+      --flavor <full|compact>     HTML report flavor
+      --out <file>                report: where to write the HTML (default: next to the JSON)
+      --fail-on <new|any>         scan: exit 3 if there are groups not in the baseline (new) or any groups
+                                  diff: exit 3 if groups are new or regressed
+      --json                      diff: print the diff as JSON
+  -h, --help                      Show this help
+
+Exit codes: 0 success, 1 unexpected failure, 2 bad usage or invalid configuration, 3 --fail-on threshold hit
+`;
+
+const OPTIONS = {
+  config: { type: 'string' },
+  profile: { type: 'string' },
+  workbook: { type: 'string', short: 'w' },
+  sheets: { type: 'string', short: 's', multiple: true },
+  'base-url': { type: 'string', short: 'b', multiple: true },
+  concurrency: { type: 'string', short: 'c' },
+  timeout: { type: 'string', short: 't' },
+  'output-dir': { type: 'string', short: 'o' },
+  'browser-rotation-limit': { type: 'string' },
+  preset: { type: 'string', short: 'p' },
+  flavor: { type: 'string' },
+  out: { type: 'string' },
+  'fail-on': { type: 'string' },
+  json: { type: 'boolean' },
+  help: { type: 'boolean', short: 'h' }
+};
+
+class UsageError extends Error {}
+
+function toPositiveInt(value, flag) {
+  if (value === undefined) return undefined;
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < 1) throw new UsageError(`--${flag} must be a positive integer, got "${value}"`);
+  return number;
+}
+
+function oneOf(value, allowed, flag) {
+  if (value !== undefined && !allowed.includes(value)) throw new UsageError(`--${flag} must be one of ${allowed.join(', ')}, got "${value}"`);
+  return value;
+}
+
+function loadConfigSource(values) {
+  const profile = values.profile || process.env.MONITOR_PROFILE;
+  const file = values.config || process.env.MONITOR_CONFIG || (profile ? DEFAULT_CONFIG_FILE : null);
+  return file ? { file, ...loadConfigFile(file, profile) } : { file: null, config: {}, profile: null };
+}
+
+// Only flags that were given end up in the config, so the config file, presets and defaults fill the rest
+function buildConfig(values, fromFile) {
+  const flags = {
+    workbookPath: values.workbook,
+    sheets: values.sheets && values.sheets.flatMap(s => s.split(',')).map(s => s.trim()).filter(Boolean),
+    baseUrls: values['base-url'],
+    maxConcurrent: toPositiveInt(values.concurrency, 'concurrency'),
+    timeout: toPositiveInt(values.timeout, 'timeout'),
+    outputDir: values['output-dir'],
+    browserRotationLimit: toPositiveInt(values['browser-rotation-limit'], 'browser-rotation-limit'),
+    reportFlavor: oneOf(values.flavor, ['full', 'compact'], 'flavor')
+  };
+  return { ...fromFile, ...Object.fromEntries(Object.entries(flags).filter(([, value]) => value !== undefined)) };
+}
+
+function loadPreset(name = 'default') {
+  if (!PRESETS[name]) throw new UsageError(`Unknown preset "${name}" (available: ${Object.keys(PRESETS).join(', ')})`);
+  return require(PRESETS[name]);
+}
+
+async function requireFile(file, what) {
+  if (!file) throw new UsageError(`Missing ${what}`);
+  try {
+    await fs.access(file);
+  } catch (error) {
+    throw new UsageError(`Cannot read ${what} ${file}`);
+  }
+  return file;
+}
+
+// report and diff only make sense on a monitor report: current reports have `pages`, v1 ones `urlErrors`
+async function requireReport(file, what) {
+  await requireFile(file, what);
+  let report;
+  try {
+    report = JSON.parse(await fs.readFile(file, 'utf-8'));
+  } catch (error) {
+    throw new UsageError(`Cannot parse ${what} ${file}: ${error.message}`);
+  }
+  if (!report || !(Array.isArray(report.pages) || Array.isArray(report.urlErrors))) {
+    throw new UsageError(`${file} is not a monitor report (no "pages" or "urlErrors")`);
+  }
+  return file;
+}
+
+async function checkConfig(monitor) {
+  const problems = await monitor.validateConfig();
+  problems.forEach(problem => console.error(`  ✗ ${problem}`));
+  if (problems.length) console.error(`Invalid configuration: ${problems.length} problem(s)`);
+  return problems.length === 0;
+}
+
+const commands = {
+  async scan(monitor, values) {
+    const failOn = oneOf(values['fail-on'], ['new', 'any'], 'fail-on');
+    if (!await checkConfig(monitor)) return EXIT.USAGE;
+
+    const { summary } = await monitor.run();
+    const failing = failOn === 'any' ? summary.uniqueErrors : failOn === 'new' ? summary.uniqueErrors - summary.knownErrors : 0;
+    if (failing > 0) {
+      console.error(`--fail-on ${failOn}: ${failing} error group(s)`);
+      return EXIT.THRESHOLD;
+    }
+    return EXIT.OK;
+  },
+
+  // Keeps running; only returns an exit code when the configuration is unusable
+  async schedule(monitor) {
+    if (!await checkConfig(monitor)) return EXIT.USAGE;
+    await monitor.run();
+    monitor.scheduleRuns();
+    return null;
+  },
+
+  async report(monitor, values, [jsonPath]) {
+    await requireReport(jsonPath, 'report JSON');
+    const report = await monitor.loadReport(jsonPath);
+    const htmlPath = values.out || `${jsonPath.replace(/\.json$/i, '')}.html`;
+    await fs.writeFile(htmlPath, await monitor.generateHtmlReport(report.timestamp));
+    console.log(`HTML: ${htmlPath}`);
+    return EXIT.OK;
+  },
+
+  async diff(monitor, values, [olderPath, newerPath]) {
+    const failOn = oneOf(values['fail-on'], ['new'], 'fail-on');
+    await requireReport(olderPath, 'older report JSON');
+    await requireReport(newerPath, 'newer report JSON');
+
+    await monitor.loadReport(newerPath);
+    const previous = await monitor.loadPreviousRun(olderPath);
+    if (!previous) throw new UsageError(`Cannot parse ${olderPath}`);
+    const diff = monitor.computeDiff(previous);
+
+    if (values.json) {
+      process.stdout.write(`${JSON.stringify(diff, null, 2)}\n`);
+    } else {
+      const { newGroups, regressedGroups, stillPresentGroups, resolvedGroups, changedPages } = diff.summary;
+      console.log(`${newerPath} vs ${olderPath}:`);
+      console.log(`  ${newGroups} new, ${regressedGroups} regressed, ${stillPresentGroups} still present, ${resolvedGroups} resolved, ${changedPages} page(s) changed`);
+      diff.groups.new.forEach(g => console.log(`  + ${g.signature} ${g.errorText} (${g.affectedPagesCount} page(s))`));
+      diff.groups.regressed.forEach(g => console.log(`  ! ${g.signature} ${g.errorText} (${g.affectedPagesCount} page(s), resolved ${g.resolvedAt})`));
+      diff.groups.resolved.forEach(g => console.log(`  - ${g.signature} ${g.errorText}`));
+    }
+
+    if (failOn && diff.summary.newGroups + diff.summary.regressedGroups > 0) return EXIT.THRESHOLD;
+    return EXIT.OK;
+  },
+
+  async 'validate-config'(monitor, values, args, source) {
+    if (!await checkConfig(monitor)) return EXIT.USAGE;
+    const { config } = monitor;
+    console.log('Configuration OK');
+    if (source.file) console.log(`  Config file: ${source.file}${source.profile ? ` (profile ${source.profile})` : ''}`);
+    console.log(`  Input: ${config.urls.length ? `${config.urls.length} configured URL(s)` : `${config.workbookPath} (${config.sheets.length ? config.sheets.join(', ') : 'all sheets'})`}`);
+    console.log(`  Base URLs: ${config.baseUrls.join(', ')}`);
+    console.log(`  Concurrency ${config.maxConcurrent}, timeout ${config.timeout} ms, ${config.browserRotationLimit} URLs per browser`);
+    console.log(`  Navigation: ${config.waitUntil} + ${config.settleTime} ms, blocking ${config.blockResources ? config.blockResources.types.join(', ') || 'nothing' : 'nothing'}`);
+    console.log(`  Schedule: ${config.schedule}`);
+    console.log(`  Output: ${config.outputDir}`);
+    return EXIT.OK;
+  },
+
+  async 'import-history'(monitor, values, [dir]) {
+    await monitor.importHistory(dir);
+    return EXIT.OK;
+  }
+};
+
+async function main(argv) {
+  let parsed;
+  try {
+    parsed = parseArgs({ args: argv, options: OPTIONS, allowPositionals: true });
+  } catch (error) {
+    console.error(`${error.message}\n\n${HELP}`);
+    return EXIT.USAGE;
+  }
+
+  const { values, positionals: [command, ...args] } = parsed;
+  if (values.help) {
+    console.log(HELP);
+    return EXIT.OK;
+  }
+  if (!command) {
+    console.error(HELP);
+    return EXIT.USAGE;
+  }
+  if (!commands[command]) {
+    console.error(`Unknown command "${command}"\n\n${HELP}`);
+    return EXIT.USAGE;
+  }
+
+  // diff --json keeps stdout for the JSON; the monitor's progress lines go to stderr
+  const logger = command === 'diff' && values.json ? { log: console.error, warn: console.error, error: console.error } : console;
+
+  try {
+    const Monitor = loadPreset(values.preset);
+    const source = loadConfigSource(values);
+    return await commands[command](new Monitor({ ...buildConfig(values, source.config), logger }), values, args, source);
+  } catch (error) {
+    if (error instanceof UsageError || error instanceof ConfigError) {
+      console.error(error.message);
+      return EXIT.USAGE;
+    }
+    console.error('Failed:', error);
+    return EXIT.FAILURE;
+  }
+}
+
+if (require.main === module) {
+  main(process.argv.slice(2)).then(code => {
+    if (code !== null) process.exitCode = code;
+  });
+}
+
+module.exports = { main, EXIT };
@@ -0,0 +1,210 @@
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+const cron = require('node-cron');
+const { z } = require('zod');
+
+// Declarative monitor config: a JSON, YAML or JS file holding ConsoleErrorMonitor options, plus named
+// environment profiles that are merged over the top-level keys:
+//
+//   settleTime: 2000
+//   defaultProfile: qa1
+//   profiles:
+//     prod: { baseUrls: ['https://www.salesforce.com'], workbookPath: ./combined_workbook.xlsx }
+//
+// Everything is checked against the schema below before a monitor is built, so a typo in a key or a bad
+// value stops startup with the file, key and reason instead of surfacing halfway through a crawl.
+
+const DEFAULT_CONFIG_FILE = './monitor.config.yaml';
+
+// Puppeteer's request.resourceType() values
+const RESOURCE_TYPES = ['document', 'stylesheet', 'image', 'media', 'font', 'script', 'texttrack', 'xhr', 'fetch',
+  'prefetch', 'eventsource', 'websocket', 'manifest', 'signedexchange', 'ping', 'cspviolationreport', 'preflight', 'other'];
+
+const positiveInt = z.number().int().positive();
+
+// Message for a union value that matches none of its alternatives
+const expected = message => ({ errorMap: () => ({ message }) });
+
+function compiles(source, flags) {
+  try {
+    return Boolean(new RegExp(source, flags));
+  } catch (error) {
+    return false;
+  }
+}
+
+// Regexes are written as strings in JSON/YAML, or as { source, flags } when they need flags such as 'i';
+// a JS config may pass RegExp objects
+const pattern = z.union([
+  z.string(),
+  z.object({ source: z.string(), flags: z.string().optional() }).strict(),
+  z.instanceof(RegExp)
+], expected('expected a regular expression or { source, flags }'))
+  .transform((value, ctx) => {
+    if (value instanceof RegExp) return value;
+    try {
+      return typeof value === 'string' ? new RegExp(value) : new RegExp(value.source, value.flags);
+    } catch (error) {
+      ctx.addIssue({ code: z.ZodIssueCode.custom, message: `not a valid regular expression (${error.message})` });
+      return z.NEVER;
+    }
+  });
+
+// A regex kept as its source string, for options that are handed to the browser as-is
+const regexSource = z.string().refine(source => compiles(source), 'not a valid regular expression');
+
+// error-fingerprint.js compiles these itself, applying `flags` (default 'g') to string patterns
+const fingerprintRule = z.object({
+  pattern: z.union([z.string(), z.instanceof(RegExp)], expected('expected a regular expression')),
+  replacement: z.string().optional(),
+  flags: z.string().optional()
+}).strict().refine(rule => rule.pattern instanceof RegExp || compiles(rule.pattern, rule.flags || 'g'), {
+  message: 'not a valid regular expression',
+  path: ['pattern']
+});
+
+const httpUrl = z.string().refine(url => {
+  try {
+    return /^https?:$/.test(new URL(url).protocol);
+  } catch (error) {
+    return false;
+  }
+}, 'expected an absolute http(s) URL');
+
+const configSchema = z.object({
+  baseUrls: z.array(httpUrl).min(1),
+  maxConcurrent: positiveInt,
+  timeout: positiveInt,
+  outputDir: z.string().min(1),
+  retryLimit: positiveInt,
+  workbookPath: z.string().min(1),
+  sheets: z.array(z.string()),
+  localeHosts: z.record(z.union([httpUrl, z.object({ baseUrl: httpUrl, prefix: z.string() }).partial().strict()],
+    expected('expected a URL or { baseUrl, prefix }'))),
+  submitForms: z.boolean(),
+  formPathPattern: pattern,
+  confPathPattern: pattern,
+  testDataProfiles: z.record(z.record(z.any())),
+  testDataMarker: z.string().min(1),
+  validationMessageSelector: z.string().min(1),
+  assertionsPath: z.string().min(1),
+  assertions: z.array(z.object({
+    match: regexSource,
+    text: regexSource,
+    notText: regexSource,
+    title: regexSource,
+    notTitle: regexSource
+  }).partial().passthrough()),
+  documentRules: z.object({
+    failOnHttpError: z.boolean(),
+    failOnOffPathRedirect: z.boolean(),
+    allowedRedirectPattern: pattern.nullable(),
+    errorPagePattern: pattern.nullable()
+  }).partial().strict(),
+  errorInstrumentation: z.boolean(),
+  fingerprintRules: z.array(fingerprintRule),
+  inAppPatterns: z.array(pattern),
+  fingerprintFrames: positiveInt,
+  sourceMaps: z.union([
+    z.literal(false),
+    z.object({ fetch: z.boolean(), dir: z.string().nullable(), timeout: positiveInt }).partial().strict()
+  ], expected('expected false or { fetch, dir, timeout }')),
+  vendorMapPath: z.string().min(1),
+  baselinePath: z.string().min(1),
+  previousReportPath: z.string().nullable(),
+  historyPath: z.string().nullable(),
+  repeatVisits: positiveInt,
+  repeatOnlyErrorPages: z.boolean(),
+  ownersPath: z.string().min(1),
+  classifierRules: z.array(z.object({ category: z.string() }).passthrough()),
+  severityWeights: z.record(z.number()),
+  urls: z.array(httpUrl),
+  waitUntil: z.enum(['load', 'domcontentloaded', 'networkidle0', 'networkidle2']),
+  settleTime: z.number().int().nonnegative(),
+  blockResources: z.union([
+    z.literal(false),
+    z.object({ types: z.array(z.enum(RESOURCE_TYPES)), extensions: z.array(z.string().startsWith('.')) }).partial().strict()
+  ], expected('expected false or { types, extensions }')),
+  denyDownloads: z.boolean(),
+  consoleFilters: z.array(pattern),
+  consoleLevels: z.array(z.enum(['log', 'debug', 'info', 'error', 'warn', 'dir', 'dirxml', 'table', 'trace', 'clear',
+    'startGroup', 'startGroupCollapsed', 'endGroup', 'assert', 'profile', 'profileEnd', 'count', 'timeEnd', 'verbose'])).min(1),
+  consoleKeepPatterns: z.array(pattern),
+  consoleArgs: z.boolean(),
+  reportFlavor: z.enum(['full', 'compact']),
+  browserRotationLimit: positiveInt,
+  schedule: z.string().refine(expression => cron.validate(expression), 'not a valid cron expression')
+}).partial().strict();
+
+const fileSchema = configSchema.extend({
+  defaultProfile: z.string().optional(),
+  profiles: z.record(configSchema).optional()
+}).strict();
+
+class ConfigError extends Error {
+  constructor(message, problems = []) {
+    super(problems.length ? `${message}\n${problems.map(problem => `  ✗ ${problem}`).join('\n')}` : message);
+    this.problems = problems;
+  }
+}
+
+function readConfigFile(filePath) {
+  const resolved = path.resolve(filePath);
+  const ext = path.extname(resolved).toLowerCase();
+  try {
+    if (ext === '.js' || ext === '.cjs') return require(resolved);
+    const content = fs.readFileSync(resolved, 'utf-8');
+    if (ext === '.json') return JSON.parse(content);
+    if (ext === '.yaml' || ext === '.yml') return yaml.load(content, { filename: filePath }) || {};
+  } catch (error) {
+    throw new ConfigError(`Cannot read config file ${filePath}: ${error.code === 'ENOENT' ? 'no such file' : error.message}`);
+  }
+  throw new ConfigError(`Unsupported config file type "${ext}" for ${filePath} (use .json, .yaml, .yml or .js)`);
+}
+
+// Options like blockResources accept `false` or an object. When a value fails both, the union issue alone
+// says "Invalid input"; report what went wrong inside the branch whose type did match instead.
+function describeIssues(issues) {
+  return issues.flatMap(issue => {
+    if (issue.code !== z.ZodIssueCode.invalid_union) {
+      return [`${issue.path.length ? issue.path.join('.') : '(root)'}: ${issue.message}`];
+    }
+    const branches = issue.unionErrors.map(error => error.issues)
+      .filter(branch => !branch.some(i => i.path.length === issue.path.length));
+    return branches.length ? describeIssues(branches[0]) : [`${issue.path.join('.')}: ${issue.message}`];
+  });
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value) && !(value instanceof RegExp);
+}
+
+// Nested option objects (blockResources, documentRules, sourceMaps) merge key by key; arrays are replaced
+function mergeConfig(base, override) {
+  const merged = { ...base };
+  for (const [key, value] of Object.entries(override)) {
+    merged[key] = isPlainObject(value) && isPlainObject(base[key]) ? mergeConfig(base[key], value) : value;
+  }
+  return merged;
+}
+
+// Returns the validated options for one profile. The profile comes from the argument, then the file's
+// defaultProfile; without either only the top-level keys apply.
+function loadConfigFile(filePath, profile) {
+  const result = fileSchema.safeParse(readConfigFile(filePath));
+  if (!result.success) {
+    throw new ConfigError(`Invalid config file ${filePath}:`, describeIssues(result.error.issues));
+  }
+
+  const { profiles = {}, defaultProfile, ...base } = result.data;
+  const selected = profile || defaultProfile;
+  if (!selected) return { config: base, profile: null };
+  if (!profiles[selected]) {
+    const available = Object.keys(profiles);
+    throw new ConfigError(`Unknown profile "${selected}" in ${filePath} (${available.length ? `available: ${available.join(', ')}` : 'the file defines no profiles'})`);
+  }
+  return { config: mergeConfig(base, profiles[selected]), profile: selected };
+}
+
+module.exports = { loadConfigFile, mergeConfig, configSchema, ConfigError, DEFAULT_CONFIG_FILE };
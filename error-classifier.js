@@ -0,0 +1,94 @@
+// Rule-based categories and severity scores for error groups.
+//
+// Rules are tried in order and the first match names the category. A rule matches on finding type,
+// error class, message pattern and/or origin party; custom rules (e.g. from JSON config) run before the
+// defaults: { category: 'consent', textPattern: 'OneTrust', party: 'third' }.
+//
+// severity = category weight x party factor + 10 x log2(1 + affected pages)
+// Page count grows the score slowly on purpose: a first-party ReferenceError on one page (60 + 10 = 70)
+// still outranks third-party noise on 30 pages (15 x 0.5 + 49.5 ≈ 57).
+
+const DEFAULT_RULES = [
+  { category: 'validation', type: 'validation' },
+  { category: 'assertion', type: 'assertion' },
+  { category: 'csp', type: 'csp' },
+  { category: 'csp', textPattern: 'Content Security Policy' },
+  { category: 'cors', textPattern: 'CORS policy|Access-Control-Allow-Origin|CORS request|Cross-Origin Request Blocked' },
+  { category: 'mixed-content', textPattern: 'Mixed Content' },
+  { category: 'network-5xx', type: 'network', status: [500, 599] },
+  { category: 'network-4xx', type: 'network', status: [400, 499] },
+  { category: 'network-failure', type: 'network' },
+  { category: 'network-5xx', textPattern: 'status of 5\\d\\d' },
+  { category: 'network-4xx', textPattern: 'status of 4\\d\\d' },
+  { category: 'deprecation', textPattern: 'deprecat|will be removed|no longer supported' },
+  { category: 'reference-error', errorClass: 'ReferenceError' },
+  { category: 'type-error', errorClass: 'TypeError' },
+  // After the specific error classes, so a vendor script's ReferenceError stays a reference-error; its
+  // party factor already lowers the score
+  { category: 'third-party', party: 'third' },
+  { category: 'js-error', type: 'pageerror' },
+  { category: 'js-error', type: 'unhandledrejection' },
+  { category: 'js-error', errorClass: '\\w+Error$' }
+];
+
+const DEFAULT_WEIGHTS = {
+  'validation': 90,
+  'assertion': 80,
+  'network-5xx': 70,
+  'reference-error': 60,
+  'type-error': 60,
+  'js-error': 50,
+  'cors': 45,
+  'csp': 40,
+  'network-4xx': 40,
+  'network-failure': 35,
+  'mixed-content': 30,
+  'other': 20,
+  'third-party': 15,
+  'deprecation': 10
+};
+
+const PARTY_FACTORS = { first: 1, unknown: 0.8, third: 0.5 };
+
+class ErrorClassifier {
+  constructor(options = {}) {
+    this.rules = [...(options.rules || []), ...DEFAULT_RULES].map(rule => this.compileRule(rule));
+    this.weights = { ...DEFAULT_WEIGHTS, ...options.weights };
+  }
+
+  compileRule(rule) {
+    return {
+      ...rule,
+      textPattern: rule.textPattern ? new RegExp(rule.textPattern, 'i') : null,
+      errorClass: rule.errorClass ? new RegExp(`^${rule.errorClass}`) : null
+    };
+  }
+
+  matches(rule, error, errorClass, party) {
+    if (rule.type && rule.type !== error.type) return false;
+    if (rule.party && rule.party !== party) return false;
+    if (rule.errorClass && !rule.errorClass.test(errorClass || '')) return false;
+    if (rule.textPattern && !rule.textPattern.test(error.text || '')) return false;
+    if (rule.status) {
+      const status = error.network?.status;
+      if (!status || status < rule.status[0] || status > rule.status[1]) return false;
+    }
+    return true;
+  }
+
+  classify(error, errorClass, party) {
+    const rule = this.rules.find(r => this.matches(r, error, errorClass, party));
+    return rule ? rule.category : 'other';
+  }
+
+  score(category, party, affectedPages) {
+    const weight = this.weights[category] ?? this.weights.other;
+    const factor = PARTY_FACTORS[party] ?? PARTY_FACTORS.unknown;
+    return Math.round(weight * factor + 10 * Math.log2(1 + affectedPages));
+  }
+}
+
+ErrorClassifier.DEFAULT_RULES = DEFAULT_RULES;
+ErrorClassifier.DEFAULT_WEIGHTS = DEFAULT_WEIGHTS;
+
+module.exports = ErrorClassifier;
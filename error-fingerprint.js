@@ -0,0 +1,93 @@
+const crypto = require('crypto');
+
+// Groups errors by root cause instead of raw text. A fingerprint combines:
+//   - the error class (TypeError, ReferenceError, ... or the finding type)
+//   - the message, normalized like v1's normalizeError() (URLs, numbers) plus any custom rules
+//   - the top in-app stack frames (file without query/bundle hash, and function name)
+// Line and column numbers are left out on purpose: they move with every deploy of a minified bundle.
+
+const DEFAULT_RULES = [
+  { pattern: /[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}/gi, replacement: '[UUID]' },
+  { pattern: /https?:\/\/[^\s'"]+/g, replacement: '[URL]' },
+  { pattern: /\b[0-9a-f]{16,}\b/gi, replacement: '[HEX]' },
+  { pattern: /\d+/g, replacement: '[NUMBER]' }
+];
+
+class ErrorFingerprinter {
+  constructor(options = {}) {
+    this.maxFrames = options.maxFrames || 3;
+    // Custom rules run before the defaults, so they can match raw IDs/URLs before those are masked
+    this.rules = [...(options.rules || []).map(rule => this.compileRule(rule)), ...DEFAULT_RULES];
+    // Frames whose URL matches one of these count as in-app. Empty means every http(s) frame does.
+    this.inAppPatterns = (options.inAppPatterns || []).map(p => p instanceof RegExp ? p : new RegExp(p));
+  }
+
+  // Rules may come from JSON config, where patterns are strings: { pattern: 'sid=\\w+', flags: 'g', replacement: 'sid=[ID]' }.
+  // Either way the pattern is made global, so every occurrence is replaced and not just the first.
+  compileRule(rule) {
+    const source = rule.pattern instanceof RegExp ? rule.pattern.source : rule.pattern;
+    const flags = rule.pattern instanceof RegExp ? rule.pattern.flags : rule.flags || 'g';
+    return { pattern: new RegExp(source, flags.includes('g') ? flags : `${flags}g`), replacement: rule.replacement || '' };
+  }
+
+  normalizeText(text) {
+    let normalized = String(text || '').split('\n')[0].replace(/^Uncaught (\(in promise\) )?/, '');
+    for (const rule of this.rules) {
+      normalized = normalized.replace(rule.pattern, rule.replacement);
+    }
+    return normalized
+      .replace(/\s+/g, ' ')
+      .replace(/at line \[NUMBER\]:\[NUMBER\]/g, 'at line [LINE]')
+      .trim()
+      .substring(0, 200);
+  }
+
+  getErrorClass(error) {
+    if (error.errorName) return error.errorName;
+    const match = String(error.text || '').match(/^(?:Uncaught (?:\(in promise\) )?)?([A-Z]\w*(?:Error|Exception))\b/);
+    return match ? match[1] : error.type || 'error';
+  }
+
+  normalizeFrameUrl(frameUrl) {
+    return frameUrl
+      .split(/[?#]/)[0]
+      .replace(/[0-9a-f]{8,}/gi, '[HASH]')
+      .replace(/\d+(\.\d+)+/g, '[VER]');
+  }
+
+  // Parses V8 stack lines: "at fn (https://host/file.js:1:2)" and "at https://host/file.js:1:2".
+  // Line and column are one-based, as V8 prints them.
+  static parseStack(stack) {
+    return String(stack || '').split('\n')
+      .map(line => line.trim().match(/^at (?:(.+?) \()?(https?:\/\/[^\s()]+?):(\d+):(\d+)\)?$/))
+      .filter(Boolean)
+      .map(([, fn, url, line, column]) => ({ fn: fn || '<anonymous>', url, line: Number(line), column: Number(column) }));
+  }
+
+  isInApp(frame) {
+    if (this.inAppPatterns.length === 0) return true;
+    return this.inAppPatterns.some(p => p.test(frame.url));
+  }
+
+  getTopFrames(error) {
+    const frames = ErrorFingerprinter.parseStack(error.stack).filter(frame => this.isInApp(frame)).slice(0, this.maxFrames);
+    if (frames.length > 0) {
+      return frames.map(frame => `${this.normalizeFrameUrl(frame.url)}:${frame.fn}`);
+    }
+    // No usable stack: the reported location's file is the best remaining hint
+    return error.location?.url ? [this.normalizeFrameUrl(error.location.url)] : [];
+  }
+
+  fingerprint(error) {
+    const errorClass = this.getErrorClass(error);
+    const normalizedText = this.normalizeText(error.text);
+    const frames = this.getTopFrames(error);
+    const id = crypto.createHash('sha1')
+      .update([errorClass, normalizedText, ...frames].join('|||'))
+      .digest('hex')
+      .substring(0, 16);
+    return { id, errorClass, normalizedText, frames };
+  }
+}
+
+module.exports = ErrorFingerprinter;
@@ -0,0 +1,132 @@
+// Synthetic test data for form-submission mode.
+//
+// Each locale sheet (da_dk_Paths -> 'da_dk') can have its own profile; anything a profile leaves out
+// comes from DEFAULT_PROFILE. Every submission carries SUBMISSION_MARKER in the email tag and company
+// name so marketing ops can filter monitor leads out of the CRM.
+
+const SUBMISSION_MARKER = 'qa-monitor';
+
+// Each pattern is tested (case-insensitive) against a field's name, id, autocomplete, placeholder and
+// label text; the first match decides which profile value is used. Order matters: 'CompanyCountry' and
+// 'CompanyEmployees' must hit country/companySize before the generic company rule.
+const FIELD_RULES = [
+  { pattern: 'e-?mail', value: 'email' },
+  { pattern: '(last|family).?name.?(kana|furigana)|(kana|furigana).?(last|family|sei)', value: 'lastNameKana' },
+  { pattern: '(first|given).?name.?(kana|furigana)|(kana|furigana).?(first|given|mei)', value: 'firstNameKana' },
+  { pattern: 'first.?name|given.?name|fname', value: 'firstName' },
+  { pattern: 'last.?name|family.?name|surname|lname', value: 'lastName' },
+  { pattern: 'full.?name|your.?name|^name$', value: 'fullName' },
+  { pattern: 'country', value: 'country' },
+  { pattern: 'state|province|prefecture', value: 'state' },
+  { pattern: 'employees|company.?size|comp.?emp', value: 'companySize' },
+  { pattern: 'phone|tel|mobile', value: 'phone' },
+  { pattern: 'company|organi[sz]ation', value: 'company' },
+  { pattern: 'title|job|role', value: 'jobTitle' },
+  { pattern: 'zip|postal|postcode', value: 'postalCode' },
+  { pattern: 'city|town', value: 'city' }
+];
+
+const DEFAULT_PROFILE = {
+  emailLocalPart: 'qa',
+  emailDomain: 'example.com',
+  firstName: 'QA',
+  lastName: 'Monitor',
+  // 'given-family' (John Smith) or 'family-given' (Smith John) for single full-name fields
+  nameOrder: 'given-family',
+  phone: '4155550100',
+  company: 'QA Monitor Test',
+  jobTitle: 'QA Engineer',
+  postalCode: '94105',
+  city: 'San Francisco',
+  country: 'US',
+  state: 'CA',
+  // Select values match an option's value or text exactly, else the first option whose text contains them
+  companySize: '21',
+  default: 'QA Monitor',
+  rules: []
+};
+
+const PROFILES = {
+  da_dk: { phone: '+45 32 12 34 56', postalCode: '1050', city: 'København', country: 'DK', state: '' },
+  de_de: { phone: '+49 30 12345678', postalCode: '10115', city: 'Berlin', country: 'DE', state: '' },
+  en_au: { phone: '+61 2 5550 1234', postalCode: '2000', city: 'Sydney', country: 'AU', state: 'NSW' },
+  en_ca: { phone: '416-555-0100', postalCode: 'M5V 2T6', city: 'Toronto', country: 'CA', state: 'ON' },
+  en_gb: { phone: '+44 20 7946 0000', postalCode: 'EC2A 1AB', city: 'London', country: 'GB', state: '' },
+  en_ie: { phone: '+353 1 555 0100', postalCode: 'D02 X285', city: 'Dublin', country: 'IE', state: '' },
+  en_in: { phone: '+91 98765 43210', postalCode: '560001', city: 'Bengaluru', country: 'IN', state: 'KA' },
+  en_is: { phone: '+354 555 0100', postalCode: '101', city: 'Reykjavík', country: 'IS', state: '' },
+  en_la: { phone: '+1 305 555 0100', postalCode: '', city: 'Miami', country: 'CO', state: '' },
+  en_my: { phone: '+60 3 5555 0100', postalCode: '50450', city: 'Kuala Lumpur', country: 'MY', state: '' },
+  en_sg: { phone: '+65 6555 0100', postalCode: '018989', city: 'Singapore', country: 'SG', state: '' },
+  es_es: { phone: '+34 91 555 01 00', postalCode: '28001', city: 'Madrid', country: 'ES', state: '' },
+  es_mx: { phone: '+52 55 5555 0100', postalCode: '06600', city: 'Ciudad de México', country: 'MX', state: 'CMX' },
+  fi_fi: { phone: '+358 9 5555 0100', postalCode: '00100', city: 'Helsinki', country: 'FI', state: '' },
+  fr_ca: { phone: '514-555-0100', postalCode: 'H3B 4W8', city: 'Montréal', country: 'CA', state: 'QC' },
+  fr_fr: { phone: '+33 1 55 55 01 00', postalCode: '75008', city: 'Paris', country: 'FR', state: '' },
+  it_it: { phone: '+39 02 5555 0100', postalCode: '20121', city: 'Milano', country: 'IT', state: '' },
+  ja_jp: {
+    firstName: '太郎',
+    lastName: 'テスト',
+    firstNameKana: 'タロウ',
+    lastNameKana: 'テスト',
+    nameOrder: 'family-given',
+    phone: '03-5555-0100',
+    postalCode: '100-0005',
+    city: '千代田区',
+    country: 'JP',
+    state: '東京都'
+  },
+  ko_kr: { lastName: '테스트', firstName: '큐에이', nameOrder: 'family-given', phone: '02-555-0100', postalCode: '04524', city: '서울', country: 'KR', state: '' },
+  nl_nl: { phone: '+31 20 555 0100', postalCode: '1012 AB', city: 'Amsterdam', country: 'NL', state: '' },
+  no_no: { phone: '+47 22 55 01 00', postalCode: '0150', city: 'Oslo', country: 'NO', state: '' },
+  pl_pl: { phone: '+48 22 555 01 00', postalCode: '00-001', city: 'Warszawa', country: 'PL', state: '' },
+  pt_br: { phone: '+55 11 5555-0100', postalCode: '01310-100', city: 'São Paulo', country: 'BR', state: 'SP' },
+  sv_se: { phone: '+46 8 555 010 00', postalCode: '111 22', city: 'Stockholm', country: 'SE', state: '' },
+  th_th: { phone: '+66 2 555 0100', postalCode: '10330', city: 'Bangkok', country: 'TH', state: '' },
+  tr_tr: { phone: '+90 212 555 01 00', postalCode: '34000', city: 'İstanbul', country: 'TR', state: '' },
+  zh_cn: { lastName: '测试', firstName: '质检', nameOrder: 'family-given', phone: '+86 10 5555 0100', postalCode: '100000', city: '北京', country: 'CN', state: '' },
+  zh_hk: { phone: '+852 5555 0100', postalCode: '', city: 'Hong Kong', country: 'HK', state: '' },
+  zh_tw: { lastName: '測試', firstName: '品管', nameOrder: 'family-given', phone: '+886 2 5555 0100', postalCode: '100', city: '台北', country: 'TW', state: '' }
+};
+
+// Merge order: DEFAULT_PROFILE < PROFILES[locale] < overrides.default < overrides[locale]
+function getProfile(locale, overrides = {}) {
+  const profile = {
+    ...DEFAULT_PROFILE,
+    ...(PROFILES[locale] || {}),
+    ...(overrides.default || {}),
+    ...(overrides[locale] || {})
+  };
+  profile.locale = locale || 'default';
+  return profile;
+}
+
+// Turns a profile into the concrete values typed into a form. Profile-specific rules are tried
+// before the shared FIELD_RULES.
+function buildFormData(profile, marker = SUBMISSION_MARKER) {
+  const { rules, ...fields } = profile;
+  const stamp = Date.now();
+  const fullName = profile.nameOrder === 'family-given'
+    ? `${profile.lastName} ${profile.firstName}`
+    : `${profile.firstName} ${profile.lastName}`;
+
+  return {
+    rules: [...rules, ...FIELD_RULES],
+    values: {
+      ...fields,
+      email: `${profile.emailLocalPart}+${marker}-${profile.locale}-${stamp}@${profile.emailDomain}`,
+      fullName,
+      company: `${profile.company} (${marker})`
+    },
+    marker
+  };
+}
+
+module.exports = {
+  SUBMISSION_MARKER,
+  FIELD_RULES,
+  DEFAULT_PROFILE,
+  PROFILES,
+  getProfile,
+  buildFormData
+};
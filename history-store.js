@@ -0,0 +1,69 @@
+const fs = require('fs').promises;
+const path = require('path');
+
+// Append-only NDJSON history: one line per run with its summary, per-group occurrence counts and
+// per-page status. Lines are never rewritten, so a crashed run can at worst leave a partial last line,
+// which readAll() skips and append() starts a new line after.
+class HistoryStore {
+  constructor(filePath) {
+    this.filePath = filePath;
+  }
+
+  async readAll() {
+    let content;
+    try {
+      content = await fs.readFile(this.filePath, 'utf-8');
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+
+    const runs = [];
+    content.split('\n').filter(line => line.trim()).forEach((line, index) => {
+      let run;
+      try {
+        run = JSON.parse(line);
+      } catch (error) {
+        console.warn(`Skipping unreadable history line ${index + 1} in ${this.filePath}`);
+        return;
+      }
+      // Everything downstream orders and labels runs by timestamp
+      if (!run || typeof run.timestamp !== 'string') {
+        console.warn(`Skipping history line ${index + 1} in ${this.filePath}: no timestamp`);
+        return;
+      }
+      runs.push({ ...run, groups: run.groups || [], pages: run.pages || [], summary: run.summary || {} });
+    });
+    return runs.sort((a, b) => a.timestamp.localeCompare(b.timestamp));
+  }
+
+  async append(record) {
+    await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+    // A run killed mid-write leaves a line without its newline; start on a fresh line so only that one is lost
+    let prefix = '';
+    try {
+      const { size } = await fs.stat(this.filePath);
+      if (size > 0) {
+        const handle = await fs.open(this.filePath, 'r');
+        const { buffer } = await handle.read(Buffer.alloc(1), 0, 1, size - 1);
+        await handle.close();
+        if (buffer[0] !== 0x0a) prefix = '\n';
+      }
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+    }
+    await fs.appendFile(this.filePath, prefix + JSON.stringify(record) + '\n');
+  }
+
+  // Skips runs already in the store, so importing the same directory twice is harmless
+  async appendMissing(records) {
+    const known = new Set((await this.readAll()).map(run => run.runId));
+    const missing = records.filter(record => !known.has(record.runId));
+    for (const record of missing) {
+      await this.append(record);
+    }
+    return missing.length;
+  }
+}
+
+module.exports = HistoryStore;
@@ -0,0 +1,2801 @@
+const puppeteer = require('puppeteer-extra');
+const StealthPlugin = require('puppeteer-extra-plugin-stealth');
+const fs = require('fs').promises;
+const path = require('path');
+const cron = require('node-cron');
+const XLSX = require('xlsx');
+const { SUBMISSION_MARKER, getProfile, buildFormData } = require('./form-test-data');
+const ErrorFingerprinter = require('./error-fingerprint');
+const SourceMapResolver = require('./source-map-resolver');
+const HistoryStore = require('./history-store');
+const ErrorClassifier = require('./error-classifier');
+const { renderTrendsHtml } = require('./trends-report');
+const { loadConfigFile, ConfigError, DEFAULT_CONFIG_FILE } = require('./config-file');
+
+puppeteer.use(StealthPlugin());
+
+// Error types the monitor records itself; every other type is a console message type
+const FINDING_TYPES = ['network', 'csp', 'pageerror', 'unhandledrejection', 'validation', 'assertion'];
+
+class ConsoleErrorMonitor {
+  constructor(config = {}) {
+    this.config = {
+      baseUrls: config.baseUrls || ['https://www-qa1.salesforce.com'],
+      maxConcurrent: config.maxConcurrent || 10,
+      timeout: config.timeout || 30000,
+      outputDir: config.outputDir || './reports',
+      retryLimit: config.retryLimit || 2,
+      workbookPath: config.workbookPath || './combined_workbook_qa.xlsx',
+      // Sheet names ('de_de_Paths') or locales ('de_de') to crawl. Empty means every sheet.
+      sheets: config.sheets || [],
+      // Per-locale origin and path prefix, e.g. { da_dk: { baseUrl: 'https://www-qa1.salesforce.com', prefix: '/dk' } }.
+      // A plain string is treated as the baseUrl. Locales without an entry fall back to baseUrls[0].
+      localeHosts: config.localeHosts || {},
+      // Form-submission mode: fill and submit signup forms, then scan the confirmation page they lead to
+      submitForms: config.submitForms || false,
+      formPathPattern: config.formPathPattern || /\/form\//,
+      confPathPattern: config.confPathPattern || /\/conf\//,
+      // Per-locale overrides merged over the built-in profiles in form-test-data.js ('default' applies to all)
+      testDataProfiles: config.testDataProfiles || {},
+      testDataMarker: config.testDataMarker || SUBMISSION_MARKER,
+      // Visible elements matching this selector are collected as validation messages when a submit is blocked
+      validationMessageSelector: config.validationMessageSelector ||
+        '[role="alert"], [aria-live="assertive"], .error, .error-message, .errorMessage, .field-error, .invalid-feedback',
+      // Content assertions checked on the page a scan ends on; see assertions.json for the rule format
+      assertionsPath: config.assertionsPath || './assertions.json',
+      assertions: config.assertions || [],
+      // Marks a page as failed based on where its main document ended up
+      documentRules: {
+        failOnHttpError: true,
+        failOnOffPathRedirect: true,
+        // Final paths matching this are accepted even when they differ from the requested path
+        allowedRedirectPattern: null,
+        errorPagePattern: /\/(404|500|error|errors|page-not-found)(\.html)?(\/|$)/i,
+        ...config.documentRules
+      },
+      // Inject window.onerror/unhandledrejection/console.error hooks into every frame at document start
+      errorInstrumentation: config.errorInstrumentation !== false,
+      // Extra normalization for grouping, e.g. [{ pattern: 'sid=\\w+', replacement: 'sid=[ID]' }]
+      fingerprintRules: config.fingerprintRules || [],
+      // Stack frames whose URL matches one of these count as in-app (default: every frame)
+      inAppPatterns: config.inAppPatterns || [],
+      fingerprintFrames: config.fingerprintFrames || 3,
+      // Resolve minified stacks through source maps: fetched via sourceMappingURL and/or read from a local dir.
+      // Set to false to skip resolution entirely.
+      sourceMaps: config.sourceMaps === false ? false : { fetch: true, dir: null, timeout: 10000, ...config.sourceMaps },
+      // Script host -> vendor map used to attribute error groups (see vendors.json)
+      vendorMapPath: config.vendorMapPath || './vendors.json',
+      // Known-issue baseline: fingerprints with owner/ticket/reason and an optional expiry date
+      baselinePath: config.baselinePath || './known-issues.json',
+      // JSON report to diff against; defaults to the newest error-report-*.json in outputDir
+      previousReportPath: config.previousReportPath || null,
+      // Append-only run history (NDJSON); defaults to <outputDir>/history.ndjson
+      historyPath: config.historyPath || null,
+      // Load each URL this many times to tell deterministic errors from intermittent ones (1 = single visit).
+      // With repeatOnlyErrorPages only pages that had errors on the first visit are loaded again.
+      repeatVisits: config.repeatVisits || 1,
+      repeatOnlyErrorPages: config.repeatOnlyErrorPages || false,
+      // URL path globs and script-origin patterns -> owning team (see owners.json)
+      ownersPath: config.ownersPath || './owners.json',
+      // Extra category rules (tried before the defaults) and weight overrides; see error-classifier.js
+      classifierRules: config.classifierRules || [],
+      severityWeights: config.severityWeights || {},
+
+      // --- Crawl strategies: the parts the old per-variant scripts did differently ---
+      // Explicit URLs to scan instead of the workbook
+      urls: config.urls || [],
+      // 'domcontentloaded' avoids timeouts on pages with long-polling analytics; 'networkidle2' waits for quiet
+      waitUntil: config.waitUntil || 'domcontentloaded',
+      // Extra time after navigation for late scripts to run and fail
+      settleTime: config.settleTime ?? 2000,
+      // Requests to abort: by resource type and by URL extension. false loads everything.
+      blockResources: config.blockResources === false ? false : {
+        types: ['image', 'media', 'font', 'stylesheet', 'other'],
+        extensions: ['.pdf', '.woff', '.woff2'],
+        ...config.blockResources
+      },
+      // Deny file downloads (PDF links would otherwise be saved by the browser)
+      denyDownloads: config.denyDownloads !== false,
+      // Console messages matching any of these are dropped as false positives. Aborting blocked
+      // requests makes Chrome log net::ERR_FAILED / ERR_ABORTED, which say nothing about the page.
+      consoleFilters: (config.consoleFilters || ['net::ERR_FAILED', 'net::ERR_ABORTED']).map(p => p instanceof RegExp ? p : new RegExp(p)),
+      // console message types to record ('error', 'warn', 'info', ...)
+      consoleLevels: config.consoleLevels || ['error'],
+      // Messages matching any of these are recorded whatever their type; Firefox-style CORS reports and
+      // the coveoua ReferenceError are sometimes logged below error level
+      consoleKeepPatterns: (config.consoleKeepPatterns || ['Cross-Origin Request Blocked', 'ReferenceError: coveoua']).map(p => p instanceof RegExp ? p : new RegExp(p)),
+      // Also record each console message's arguments as strings
+      consoleArgs: config.consoleArgs === true,
+      // 'full' is the interactive report; 'compact' a plain static summary with no script
+      reportFlavor: config.reportFlavor || 'full',
+      // URLs per browser instance before it is restarted to keep memory in check
+      browserRotationLimit: config.browserRotationLimit || 50,
+      // cron expression for scheduleRuns()
+      schedule: config.schedule || '0 */2 * * *'
+    };
+    this.config.historyPath = this.config.historyPath || path.join(this.config.outputDir, 'history.ndjson');
+    // Progress and problems go here; anything with console's log/warn/error (cli.js diff --json sends it all to stderr)
+    this.logger = config.logger || console;
+    
+    this.pageErrors = new Map();
+    this.processedUrls = new Set();
+    this.errorGroups = new Map();
+    this.urlLocales = new Map();
+    this.urlIssues = [];
+    this.urlAssertions = new Map();
+    this.assertionRules = [];
+    this.vendorMap = { firstPartyName: 'First-party', firstPartyHosts: [], vendors: [] };
+    this.baseline = new Map();
+    this.diff = null;
+    this.history = new HistoryStore(this.config.historyPath);
+    // url -> one Set of error signatures per completed visit
+    this.visitSignatures = new Map();
+    this.ownership = { defaultTeam: 'Unassigned', paths: [], scripts: [] };
+    this.fingerprinter = new ErrorFingerprinter({
+      rules: this.config.fingerprintRules,
+      inAppPatterns: this.config.inAppPatterns,
+      maxFrames: this.config.fingerprintFrames
+    });
+    this.classifier = new ErrorClassifier({
+      rules: this.config.classifierRules,
+      weights: this.config.severityWeights
+    });
+  }
+
+  // Query strings and fragments carry cache busters and session IDs, so they are left out of network groups
+  normalizeRequestUrl(requestUrl) {
+    try {
+      const parsed = new URL(requestUrl);
+      return `${parsed.origin}${parsed.pathname}`;
+    } catch (e) {
+      return requestUrl.split(/[?#]/)[0];
+    }
+  }
+
+  getCspBlockedHost(blockedUri) {
+    try {
+      const parsed = new URL(blockedUri);
+      return parsed.host || parsed.protocol.replace(/:$/, '');
+    } catch (e) {
+      // 'inline', 'eval', 'wasm-eval', 'trusted-types-sink', ...
+      return blockedUri || 'unknown';
+    }
+  }
+
+  getErrorSignature(error) {
+    if (error.type === 'csp') {
+      return `csp|||${error.csp.directive}|||${this.getCspBlockedHost(error.csp.blockedUri)}`;
+    }
+    if (error.type === 'network') {
+      return `network|||${error.network.status || error.network.failure}|||${this.normalizeRequestUrl(error.network.url)}`;
+    }
+    return this.fingerprinter.fingerprint(error).id;
+  }
+
+  escapeHtml(text) {
+    const map = {
+      '&': '&amp;',
+      '<': '&lt;',
+      '>': '&gt;',
+      '"': '&quot;',
+      "'": '&#039;'
+    };
+    return String(text).replace(/[&<>"']/g, m => map[m]);
+  }
+
+  getLocaleFromSheetName(sheetName) {
+    return sheetName.replace(/_Paths$/i, '').toLowerCase();
+  }
+
+  selectSheets(sheetNames) {
+    const wanted = this.config.sheets.map(s => String(s).toLowerCase());
+    if (wanted.length === 0) return sheetNames;
+
+    const selected = sheetNames.filter(name =>
+      wanted.includes(name.toLowerCase()) || wanted.includes(this.getLocaleFromSheetName(name))
+    );
+
+    const known = new Set(sheetNames.flatMap(name => [name.toLowerCase(), this.getLocaleFromSheetName(name)]));
+    wanted.filter(w => !known.has(w)).forEach(w => this.logger.warn(`Sheet "${w}" not found in workbook, skipping`));
+
+    return selected;
+  }
+
+  resolveLocaleHost(locale) {
+    const mapping = this.config.localeHosts[locale] || this.config.localeHosts.default || {};
+    const entry = typeof mapping === 'string' ? { baseUrl: mapping } : mapping;
+    return {
+      baseUrl: (entry.baseUrl || this.config.baseUrls[0]).replace(/\/+$/, ''),
+      prefix: entry.prefix ? `/${entry.prefix.replace(/^\/+|\/+$/g, '')}` : ''
+    };
+  }
+
+  buildUrl(rawPath, locale) {
+    const { baseUrl, prefix } = this.resolveLocaleHost(locale);
+    let urlPath = `/${rawPath.trim().replace(/^\//, '')}`;
+
+    // Paths that already start with the country segment are not prefixed again
+    if (prefix && urlPath !== prefix && !urlPath.startsWith(`${prefix}/`)) {
+      urlPath = `${prefix}${urlPath}`;
+    }
+
+    return `${baseUrl}${urlPath}`;
+  }
+
+  validateUrls(entries) {
+    const issues = [];
+    const firstSeen = new Map();
+
+    for (const entry of entries) {
+      let parsed;
+      try {
+        parsed = new URL(entry.url);
+        if (!['http:', 'https:'].includes(parsed.protocol)) throw new Error(`unsupported protocol ${parsed.protocol}`);
+      } catch (e) {
+        issues.push({ type: 'malformed', ...entry, detail: e.message });
+        entry.skip = true;
+        continue;
+      }
+
+      if (parsed.pathname.includes('//')) {
+        issues.push({ type: 'double-slash', ...entry, detail: parsed.pathname });
+      }
+
+      const { prefix } = this.resolveLocaleHost(entry.locale);
+      const segments = parsed.pathname.split('/').filter(Boolean);
+      const doubled = segments.find((segment, i) => i > 0 && segment === segments[i - 1] &&
+        (`/${segment}` === prefix || /^[a-z]{2}([-_][a-z]{2})?$/i.test(segment)));
+      if (doubled) {
+        issues.push({ type: 'doubled-segment', ...entry, detail: `/${doubled}/${doubled}/` });
+      }
+
+      if (firstSeen.has(entry.url)) {
+        issues.push({ type: 'duplicate', ...entry, detail: `also listed in ${firstSeen.get(entry.url)}` });
+        entry.skip = true;
+      } else {
+        firstSeen.set(entry.url, entry.sheet);
+      }
+    }
+
+    return issues;
+  }
+
+  async generateUrls() {
+    if (this.config.urls.length > 0) {
+      const urls = Array.from(new Set(this.config.urls));
+      this.logger.log(`Using ${urls.length} configured URL(s)`);
+      return urls;
+    }
+
+    try {
+      const workbook = XLSX.readFile(this.config.workbookPath);
+      const sheetNames = this.selectSheets(workbook.SheetNames);
+      const entries = [];
+
+      for (const sheetName of sheetNames) {
+        const locale = this.getLocaleFromSheetName(sheetName);
+        const data = XLSX.utils.sheet_to_json(workbook.Sheets[sheetName]);
+        const rows = data.filter(row => row.path && typeof row.path === 'string');
+
+        rows.forEach(row => entries.push({
+          url: this.buildUrl(row.path, locale),
+          path: row.path,
+          sheet: sheetName,
+          locale,
+          assertion: this.getRowAssertion(row)
+        }));
+
+        this.logger.log(`  ${sheetName}: ${rows.length} paths`);
+      }
+
+      // Validate joins before the crawl so bad workbook rows or host mappings show up early.
+      // Malformed URLs and repeats are dropped; a repeated URL keeps the locale of the first sheet it appears in.
+      this.urlIssues = this.validateUrls(entries);
+      if (this.urlIssues.length > 0) {
+        const counts = this.urlIssues.reduce((acc, issue) => ({ ...acc, [issue.type]: (acc[issue.type] || 0) + 1 }), {});
+        this.logger.warn(`URL validation found ${this.urlIssues.length} issue(s): ${Object.entries(counts).map(([t, n]) => `${t}=${n}`).join(', ')}`);
+        this.urlIssues.slice(0, 20).forEach(issue => this.logger.warn(`  [${issue.type}] ${issue.sheet}: ${issue.url} (${issue.detail})`));
+      }
+
+      const urls = [];
+      entries.filter(entry => !entry.skip).forEach(entry => {
+        this.urlLocales.set(entry.url, entry.locale);
+        if (entry.assertion) this.urlAssertions.set(entry.url, entry.assertion);
+        urls.push(entry.url);
+      });
+      
+      this.logger.log(`Generated ${urls.length} URLs from ${sheetNames.length} sheet(s) in Excel`);
+      return urls;
+    } catch (error) {
+      this.logger.error(`Error generating URLs: ${error.message}`);
+      return [];
+    }
+  }
+
+  isFormUrl(url) {
+    const { pathname } = new URL(url);
+    return this.config.formPathPattern.test(pathname) && !this.config.confPathPattern.test(pathname);
+  }
+
+  async submitForm(page, flow, locale) {
+    const testData = buildFormData(getProfile(locale, this.config.testDataProfiles), this.config.testDataMarker);
+    const submission = {
+      formFound: false,
+      submitted: false,
+      navigated: false,
+      filledFields: 0,
+      finalUrl: page.url(),
+      testData: { profile: testData.values.locale, email: testData.values.email, marker: testData.marker }
+    };
+
+    try {
+      // Pick the form most likely to be the signup form: one with an email field, else the one with the most inputs
+      const formIndex = await page.evaluate(() => {
+        const forms = Array.from(document.forms);
+        if (forms.length === 0) return -1;
+        const withEmail = forms.findIndex(f => f.querySelector('input[type="email"], input[name*="mail" i]'));
+        if (withEmail !== -1) return withEmail;
+        return forms.reduce((best, f, i) => f.elements.length > forms[best].elements.length ? i : best, 0);
+      });
+
+      if (formIndex === -1) return submission;
+      submission.formFound = true;
+
+      submission.filledFields = await page.evaluate((formIndex, rules, data) => {
+        const form = document.forms[formIndex];
+        const setValue = (el, value) => {
+          // Use the native setter so framework-controlled inputs pick up the change
+          const proto = el.tagName === 'TEXTAREA' ? HTMLTextAreaElement.prototype : HTMLInputElement.prototype;
+          Object.getOwnPropertyDescriptor(proto, 'value').set.call(el, value);
+          el.dispatchEvent(new Event('input', { bubbles: true }));
+          el.dispatchEvent(new Event('change', { bubbles: true }));
+        };
+        const describe = el => [
+          el.name, el.id, el.getAttribute('autocomplete'), el.placeholder,
+          ...(el.labels ? Array.from(el.labels).map(l => l.textContent) : [])
+        ].filter(Boolean).join(' ');
+
+        let filled = 0;
+        for (const el of Array.from(form.elements)) {
+          if (!['INPUT', 'SELECT', 'TEXTAREA'].includes(el.tagName) || el.disabled) continue;
+          if (['hidden', 'submit', 'button', 'reset', 'image', 'file'].includes(el.type)) continue;
+
+          const rule = rules.find(r => new RegExp(r.pattern, 'i').test(describe(el)));
+
+          if (el.tagName === 'SELECT') {
+            const wanted = rule && data[rule.value] ? String(data[rule.value]).toLowerCase() : null;
+            const options = Array.from(el.options).filter(o => o.value && !o.disabled);
+            const option = (wanted && (
+              options.find(o => o.value.toLowerCase() === wanted || o.text.trim().toLowerCase() === wanted) ||
+              options.find(o => o.text.toLowerCase().includes(wanted))
+            )) || options[0];
+            if (option) {
+              el.value = option.value;
+              el.dispatchEvent(new Event('change', { bubbles: true }));
+              filled++;
+            }
+          } else if (el.type === 'checkbox') {
+            if (el.required && !el.checked) { el.click(); filled++; }
+          } else if (el.type === 'radio') {
+            if (el.required && !form.querySelector(`input[type="radio"][name="${el.name}"]:checked`)) { el.click(); filled++; }
+          } else {
+            const value = el.type === 'email' ? data.email : rule ? data[rule.value] : el.required ? data.default : null;
+            if (value) { setValue(el, value); filled++; }
+          }
+        }
+        return filled;
+      }, formIndex, testData.rules, testData.values);
+
+      const submitHandle = await page.evaluateHandle(formIndex => {
+        const form = document.forms[formIndex];
+        return form.querySelector('button[type="submit"], input[type="submit"], button:not([type])') || form;
+      }, formIndex);
+
+      flow.submitted = true;
+      submission.submitted = true;
+
+      const [navigation] = await Promise.allSettled([
+        page.waitForNavigation({ waitUntil: 'domcontentloaded', timeout: this.config.timeout }),
+        submitHandle.evaluate(el => el.tagName === 'FORM' ? el.requestSubmit() : el.click())
+      ]);
+      submission.navigated = navigation.status === 'fulfilled';
+      submission.finalUrl = page.url();
+
+      if (submission.navigated) {
+        // Same settle window as the initial load, so late confirmation-page errors are captured
+        await new Promise(resolve => setTimeout(resolve, this.config.settleTime));
+      } else {
+        submission.validation = await this.collectValidationState(page, formIndex);
+        // Staying on the page without invalid fields or messages is also what an in-place (AJAX) success
+        // looks like, so it is recorded on the page rather than reported as a validation failure
+        const { fields = [], messages = [] } = submission.validation || {};
+        submission.blockedByValidation = fields.length > 0 || messages.length > 0;
+      }
+    } catch (error) {
+      submission.error = error.message;
+    }
+
+    submission.reachedConfirmation = submission.navigated && this.config.confPathPattern.test(new URL(submission.finalUrl).pathname);
+    return submission;
+  }
+
+  async collectValidationState(page, formIndex) {
+    return page.evaluate((formIndex, messageSelector) => {
+      const form = document.forms[formIndex];
+      const visible = el => !!(el.offsetWidth || el.offsetHeight || el.getClientRects().length);
+      const text = el => (el.textContent || '').replace(/\s+/g, ' ').trim();
+      const validityKeys = ['valueMissing', 'typeMismatch', 'patternMismatch', 'tooLong', 'tooShort',
+        'rangeUnderflow', 'rangeOverflow', 'stepMismatch', 'badInput', 'customError'];
+
+      const fields = [];
+      for (const el of Array.from(form ? form.elements : [])) {
+        const states = el.validity ? validityKeys.filter(k => el.validity[k]) : [];
+        const ariaInvalid = el.getAttribute('aria-invalid') === 'true';
+        if (states.length === 0 && !ariaInvalid) continue;
+
+        // Prefer the browser's message, then whatever the field points at via aria-errormessage/aria-describedby
+        const refs = [el.getAttribute('aria-errormessage'), el.getAttribute('aria-describedby')]
+          .filter(Boolean).join(' ').split(/\s+/).map(id => document.getElementById(id)).filter(Boolean);
+        const message = el.validationMessage || refs.filter(visible).map(text).filter(Boolean).join(' ');
+
+        fields.push({
+          name: el.name || el.id || el.tagName.toLowerCase(),
+          label: el.labels && el.labels.length ? text(el.labels[0]) : '',
+          states,
+          ariaInvalid,
+          message
+        });
+      }
+
+      const messages = Array.from(document.querySelectorAll(messageSelector))
+        .filter(visible).map(text).filter(Boolean);
+
+      return { fields, messages: Array.from(new Set(messages)).slice(0, 20) };
+    }, formIndex, this.config.validationMessageSelector);
+  }
+
+  // Turns a blocked submit into 'validation' findings that are reported next to console and pageerror entries
+  getValidationFindings(submission) {
+    if (!submission || !submission.submitted || submission.navigated) return [];
+
+    const timestamp = new Date().toISOString();
+    const { fields = [], messages = [] } = submission.validation || {};
+    const fieldMessages = new Set(fields.map(f => f.message).filter(Boolean));
+
+    const findings = fields.map(field => ({
+      text: `Form validation failed: ${field.label || field.name} [${field.states.length ? field.states.join(', ') : 'aria-invalid'}]` +
+        (field.message ? ` ${field.message}` : ''),
+      type: 'validation',
+      location: {},
+      field,
+      timestamp,
+      phase: 'form'
+    }));
+
+    messages.filter(m => !fieldMessages.has(m)).forEach(message => findings.push({
+      text: `Form validation message: ${message}`,
+      type: 'validation',
+      location: {},
+      timestamp,
+      phase: 'form'
+    }));
+
+    return findings;
+  }
+
+  // Optional workbook columns next to 'path' add an assertion for that row only
+  getRowAssertion(row) {
+    const rule = {
+      name: 'workbook',
+      selector: row.expectSelector,
+      text: row.expectText,
+      title: row.expectTitle,
+      dataLayerEvent: row.expectEvent
+    };
+    return rule.selector || rule.text || rule.title || rule.dataLayerEvent ? rule : null;
+  }
+
+  async loadAssertionRules() {
+    const rules = [...this.config.assertions];
+    try {
+      const content = await fs.readFile(this.config.assertionsPath, 'utf-8');
+      rules.push(...JSON.parse(content).rules);
+    } catch (error) {
+      if (error.code !== 'ENOENT') this.logger.error(`Error loading assertions: ${error.message}`);
+    }
+
+    // Patterns are compiled once here; a broken rule is skipped instead of failing every page it is tried on
+    this.assertionRules = [];
+    rules.forEach((rule, index) => {
+      try {
+        ['text', 'notText', 'title', 'notTitle'].filter(key => rule[key]).forEach(key => new RegExp(rule[key], 'i'));
+        this.assertionRules.push({ rule, pattern: new RegExp(rule.match || '.') });
+      } catch (error) {
+        this.logger.error(`Skipping assertion rule ${rule.name || `#${index + 1}`}: ${error.message}`);
+      }
+    });
+    this.logger.log(`Loaded ${this.assertionRules.length} assertion rule(s)`);
+  }
+
+  getAssertionRules(url, finalUrl, locale) {
+    const { pathname } = new URL(finalUrl);
+    const rules = this.assertionRules
+      .filter(({ rule, pattern }) => pattern.test(pathname) && (!rule.locales || rule.locales.includes(locale)))
+      .map(({ rule }) => rule);
+    if (this.urlAssertions.has(url)) rules.push(this.urlAssertions.get(url));
+    return rules;
+  }
+
+  async checkAssertions(page, rules, flow) {
+    if (rules.length === 0) return [];
+
+    const failures = await page.evaluate(rules => {
+      const bodyText = document.body ? document.body.innerText || '' : '';
+      const events = [...(window.dataLayer || []), ...(window.adobeDataLayer || [])]
+        .map(entry => entry && entry.event).filter(Boolean);
+      const results = [];
+
+      rules.forEach(rule => {
+        const fail = (check, expected, actual) => results.push({ rule: rule.name || rule.match, check, expected, actual });
+        try {
+          if (rule.selector && !document.querySelector(rule.selector)) fail('selector', rule.selector, 'not found');
+          if (rule.notSelector && document.querySelector(rule.notSelector)) fail('notSelector', rule.notSelector, 'present');
+          if (rule.text && !new RegExp(rule.text, 'i').test(bodyText)) fail('text', rule.text, bodyText.slice(0, 120));
+          if (rule.notText && new RegExp(rule.notText, 'i').test(bodyText)) fail('notText', rule.notText, bodyText.slice(0, 120));
+          if (rule.title && !new RegExp(rule.title, 'i').test(document.title)) fail('title', rule.title, document.title);
+          if (rule.notTitle && new RegExp(rule.notTitle, 'i').test(document.title)) fail('notTitle', rule.notTitle, document.title);
+          if (rule.minBodyLength && bodyText.trim().length < rule.minBodyLength) {
+            fail('minBodyLength', rule.minBodyLength, bodyText.trim().length);
+          }
+          if (rule.dataLayerEvent && !events.includes(rule.dataLayerEvent)) {
+            fail('dataLayerEvent', rule.dataLayerEvent, events.join(', ') || 'none');
+          }
+        } catch (e) {
+          fail('invalid-rule', e.message, null);
+        }
+      });
+
+      return results;
+    }, rules);
+
+    const timestamp = new Date().toISOString();
+    return failures.map(failure => ({
+      text: `Assertion failed (${failure.rule}): ${failure.check} ${failure.expected}`,
+      type: 'assertion',
+      location: {},
+      assertion: { ...failure, url: page.url() },
+      timestamp,
+      ...(flow && { phase: flow.phase })
+    }));
+  }
+
+  getDocumentInfo(url, response, currentUrl) {
+    if (!response) return { httpStatus: null, finalUrl: currentUrl || url, redirectChain: [] };
+
+    const redirectChain = response.request().redirectChain().map(req => ({
+      url: req.url(),
+      status: req.response()?.status() || null
+    }));
+
+    // A script redirect after load (e.g. to the homepage) is not part of the HTTP chain, so add it as a hop
+    if (currentUrl && currentUrl !== response.url()) {
+      redirectChain.push({ url: response.url(), status: response.status() });
+    }
+
+    return {
+      httpStatus: response.status(),
+      finalUrl: currentUrl || response.url(),
+      redirectChain
+    };
+  }
+
+  getDocumentFailure(url, documentInfo) {
+    const rules = this.config.documentRules;
+    const normalizePath = p => p.toLowerCase().replace(/\.html$/, '').replace(/\/+$/, '');
+
+    if (rules.failOnHttpError && documentInfo.httpStatus >= 400) {
+      return `Main document returned HTTP ${documentInfo.httpStatus}`;
+    }
+    if (documentInfo.finalUrl === url) return null;
+
+    const finalPath = new URL(documentInfo.finalUrl).pathname;
+    if (rules.errorPagePattern && rules.errorPagePattern.test(finalPath)) {
+      return `Redirected to error page ${documentInfo.finalUrl}`;
+    }
+    if (rules.failOnOffPathRedirect && normalizePath(finalPath) !== normalizePath(new URL(url).pathname) &&
+        !(rules.allowedRedirectPattern && rules.allowedRedirectPattern.test(finalPath))) {
+      return `Redirected off the expected path to ${documentInfo.finalUrl}`;
+    }
+    return null;
+  }
+
+  // CSP violations are reported both by an in-page securitypolicyviolation listener and by CDP audit
+  // issues; either one can miss a violation, so both feed the same per-page, de-duplicated list.
+  async attachCspListeners(page, client, errors, flow) {
+    const seen = new Set();
+    const record = reported => {
+      const violation = { ...reported, directive: reported.directive || 'unknown' };
+      // The two sources disagree on sourceFile and line numbering, so only directive and URI identify a violation
+      const key = [flow?.phase, violation.directive, violation.blockedUri].join('|');
+      if (seen.has(key)) return;
+      seen.add(key);
+
+      errors.push({
+        text: `CSP violation: ${violation.directive} blocked ${violation.blockedUri || 'unknown'}`,
+        location: { url: violation.sourceFile || undefined, lineNumber: violation.lineNumber || undefined },
+        type: 'csp',
+        csp: violation,
+        timestamp: new Date().toISOString(),
+        ...(flow && { phase: flow.phase })
+      });
+    };
+
+    await page.exposeFunction('__cemReportCspViolation', violation => record({ ...violation, source: 'event' }));
+    await page.evaluateOnNewDocument(() => {
+      document.addEventListener('securitypolicyviolation', e => {
+        if (typeof window.__cemReportCspViolation !== 'function') return;
+        window.__cemReportCspViolation({
+          directive: e.effectiveDirective || e.violatedDirective,
+          blockedUri: e.blockedURI,
+          sourceFile: e.sourceFile,
+          lineNumber: e.lineNumber,
+          disposition: e.disposition,
+          frameUrl: location.href
+        });
+      });
+    });
+
+    const auditBlockedUri = {
+      kInlineViolation: 'inline',
+      kEvalViolation: 'eval',
+      kWasmEvalViolation: 'wasm-eval',
+      kTrustedTypesSinkViolation: 'trusted-types-sink',
+      kTrustedTypesPolicyViolation: 'trusted-types-policy'
+    };
+    client.on('Audits.issueAdded', ({ issue }) => {
+      if (issue.code !== 'ContentSecurityPolicyIssue') return;
+      const details = issue.details.contentSecurityPolicyIssueDetails || {};
+      record({
+        directive: details.violatedDirective,
+        blockedUri: details.blockedURL || auditBlockedUri[details.contentSecurityPolicyViolationType] || 'unknown',
+        sourceFile: details.sourceCodeLocation?.url || null,
+        // CDP line numbers are zero-based
+        lineNumber: details.sourceCodeLocation ? details.sourceCodeLocation.lineNumber + 1 : null,
+        disposition: details.isReportOnly ? 'report' : 'enforce',
+        source: 'audit'
+      });
+    });
+    await client.send('Audits.enable');
+  }
+
+  // Hooks errors at document start in every frame, including iframes that Puppeteer's 'pageerror' does not see.
+  // Findings are collected into hookFindings and reconciled with the console/pageerror capture afterwards.
+  async attachErrorInstrumentation(page, hookFindings, flow) {
+    await page.exposeFunction('__cemReportError', finding => {
+      hookFindings.push({ ...finding, timestamp: new Date().toISOString(), ...(flow && { phase: flow.phase }) });
+    });
+
+    await page.evaluateOnNewDocument(() => {
+      if (window.__cemErrorHookInstalled) return;
+      window.__cemErrorHookInstalled = true;
+
+      const report = finding => {
+        try {
+          if (typeof window.__cemReportError === 'function') {
+            window.__cemReportError({ ...finding, frameUrl: location.href, topFrame: window === window.top });
+          }
+        } catch (e) { /* ignore */ }
+      };
+      const describe = value => {
+        if (value instanceof Error) return { message: value.message, name: value.name, stack: value.stack };
+        let message;
+        try { message = typeof value === 'string' ? value : JSON.stringify(value); } catch (e) { message = String(value); }
+        return { message: String(message), name: null, stack: null };
+      };
+
+      window.addEventListener('error', e => {
+        // Resource load errors bubble here too; those are covered by the network capture
+        if (e.target !== window) return;
+        const details = e.error ? describe(e.error) : { message: e.message, name: null, stack: null };
+        report({ kind: 'error', ...details, source: e.filename, lineNumber: e.lineno, columnNumber: e.colno });
+      }, true);
+
+      window.addEventListener('unhandledrejection', e => report({ kind: 'unhandledrejection', ...describe(e.reason) }));
+
+      const originalError = console.error;
+      console.error = function (...args) {
+        const error = args.find(a => a instanceof Error);
+        const details = error ? describe(error) : { message: args.map(a => describe(a).message).join(' '), name: null, stack: null };
+        // 'lead' is the first argument alone; Puppeteer renders object arguments differently from JSON
+        report({ kind: 'console.error', ...details, lead: describe(args[0]).message, stack: details.stack || new Error().stack });
+        return originalError.apply(this, args);
+      };
+    });
+  }
+
+  // First http(s) frame of a V8 stack, converted to the zero-based positions console locations use.
+  // Frames from the injected hook have no URL, so this skips past the console.error wrapper.
+  getStackLocation(stack) {
+    const frame = String(stack || '').split('\n')
+      .map(line => line.match(/\(?(https?:\/\/[^\s()]+):(\d+):(\d+)\)?\s*$/))
+      .find(Boolean);
+    return frame ? { url: frame[1], lineNumber: Number(frame[2]) - 1, columnNumber: Number(frame[3]) - 1 } : {};
+  }
+
+  // Matches each hook finding to the console/pageerror entry for the same error and enriches it with
+  // stack, name and frame URL. Hook findings with no counterpart (iframes, missed rejections) are added.
+  mergeInstrumentedErrors(errors, hookFindings) {
+    const firstLine = text => String(text || '').split('\n')[0].replace(/^Uncaught (\(in promise\) )?/, '').trim();
+    const matched = new Set();
+
+    hookFindings.forEach(finding => {
+      const message = firstLine(finding.message);
+      const named = finding.name ? `${finding.name}: ${message}` : message;
+      const candidateTypes = finding.kind === 'console.error' ? ['error'] : ['pageerror'];
+
+      const existing = errors.find(e => {
+        if (matched.has(e) || !candidateTypes.includes(e.type) || e.phase !== finding.phase) return false;
+        const text = firstLine(e.text);
+        return text === message || text === named || (message && text.includes(message)) ||
+          (finding.lead && text.startsWith(firstLine(finding.lead)));
+      });
+
+      const location = finding.source
+        ? { url: finding.source, lineNumber: finding.lineNumber - 1, columnNumber: finding.columnNumber - 1 }
+        : this.getStackLocation(finding.stack);
+
+      if (existing) {
+        matched.add(existing);
+        existing.stack = existing.stack || finding.stack;
+        existing.errorName = finding.name || null;
+        existing.frameUrl = finding.frameUrl;
+        // The console.error wrapper becomes the message's reported location, so restore the real caller
+        if (!existing.location?.url && location.url) existing.location = location;
+        return;
+      }
+
+      // The console listener skipped this message on purpose; don't let it back in through the hook
+      const text = finding.name ? named : message;
+      if (finding.kind === 'console.error' && !this.isRecordedConsoleMessage('error', text)) return;
+
+      errors.push({
+        text,
+        location,
+        type: finding.kind === 'unhandledrejection' ? 'unhandledrejection' : finding.kind === 'error' ? 'pageerror' : 'error',
+        stack: finding.stack,
+        errorName: finding.name || null,
+        frameUrl: finding.frameUrl,
+        timestamp: finding.timestamp,
+        ...(finding.phase && { phase: finding.phase })
+      });
+    });
+  }
+
+  async loadVendorMap() {
+    let map = {};
+    try {
+      map = JSON.parse(await fs.readFile(this.config.vendorMapPath, 'utf-8'));
+    } catch (error) {
+      if (error.code !== 'ENOENT') this.logger.error(`Error loading vendor map: ${error.message}`);
+    }
+
+    // The hosts we crawl are first-party even if the map does not list them
+    const crawledHosts = [
+      ...this.config.baseUrls,
+      ...Object.values(this.config.localeHosts).map(h => typeof h === 'string' ? h : h.baseUrl).filter(Boolean)
+    ].map(u => new URL(u).hostname);
+
+    this.vendorMap = {
+      firstPartyName: map.firstPartyName || 'First-party',
+      firstPartyHosts: [...(map.firstPartyHosts || []), ...crawledHosts],
+      vendors: (map.vendors || []).map(v => ({
+        ...v,
+        hosts: v.hosts || [],
+        textPatterns: (v.textPatterns || []).map(p => new RegExp(p, 'i'))
+      }))
+    };
+    this.logger.log(`Loaded ${this.vendorMap.vendors.length} vendor(s) for attribution`);
+  }
+
+  // URLs that say where an error came from, most specific first
+  getAttributionUrls(error) {
+    return [
+      error.network?.url,
+      error.csp?.blockedUri,
+      ...ErrorFingerprinter.parseStack(error.stack).map(frame => frame.url),
+      error.location?.url,
+      error.network?.initiator?.url,
+      error.frameUrl
+    ].filter(u => u && /^https?:/.test(u));
+  }
+
+  attributeVendor(error) {
+    const hostMatches = (host, hosts) => hosts.some(h => host === h || host.endsWith(`.${h}`));
+
+    // The error's most specific URL decides when it is a vendor's or another third party's
+    const [candidate] = this.getAttributionUrls(error);
+    const host = candidate ? new URL(candidate).hostname : null;
+    if (host) {
+      const vendor = this.vendorMap.vendors.find(v => hostMatches(host, v.hosts));
+      if (vendor) return { vendor: vendor.name, party: vendor.party || 'third', origin: host };
+      if (!hostMatches(host, this.vendorMap.firstPartyHosts)) return { vendor: host, party: 'third', origin: host };
+    }
+
+    // "coveoua is not defined"-style messages name the vendor whose global was missing. Such errors are
+    // raised by first-party code (an inline snippet calling the vendor), so the text wins over a first-party URL.
+    const byText = this.vendorMap.vendors.find(v => v.textPatterns.some(p => p.test(error.text || '')));
+    if (byText) return { vendor: byText.name, party: byText.party || 'third', origin: null };
+
+    if (host) return { vendor: this.vendorMap.firstPartyName, party: 'first', origin: host };
+    return { vendor: 'Unknown', party: 'unknown', origin: null };
+  }
+
+  async loadBaseline() {
+    let issues = [];
+    try {
+      issues = JSON.parse(await fs.readFile(this.config.baselinePath, 'utf-8')).issues || [];
+    } catch (error) {
+      if (error.code !== 'ENOENT') this.logger.error(`Error loading known-issue baseline: ${error.message}`);
+    }
+
+    this.baseline.clear();
+    for (const issue of issues) {
+      if (!issue.fingerprint) {
+        this.logger.warn(`Skipping baseline entry without a fingerprint: ${JSON.stringify(issue)}`);
+        continue;
+      }
+      // A bare date means the suppression still holds for that whole day (UTC)
+      const expires = issue.expires && /^\d{4}-\d{2}-\d{2}$/.test(issue.expires) ? `${issue.expires}T23:59:59.999Z` : issue.expires;
+      if (expires && isNaN(Date.parse(expires))) {
+        this.logger.warn(`Ignoring invalid expiry "${issue.expires}" for baseline entry ${issue.fingerprint}`);
+      }
+      this.baseline.set(issue.fingerprint, { ...issue, expiresAt: expires && !isNaN(Date.parse(expires)) ? Date.parse(expires) : null });
+    }
+    this.logger.log(`Loaded ${this.baseline.size} known issue(s) from baseline`);
+  }
+
+  // Groups in the baseline are 'known'; once an entry expires the group resurfaces as 'new'
+  getBaselineStatus(signature) {
+    const entry = this.baseline.get(signature);
+    if (!entry) return { status: 'new', knownIssue: null };
+
+    const { expiresAt, ...knownIssue } = entry;
+    const expired = expiresAt !== null && expiresAt < Date.now();
+    return { status: expired ? 'new' : 'known', knownIssue: { ...knownIssue, expired } };
+  }
+
+  // Path globs match the end of the URL path, so '/form/commerce/**' also covers '/dk/form/commerce/...' and
+  // '/content/www/de_de/home/form/commerce/...'. '**' spans segments, '*' and '?' stay within one.
+  compilePathGlob(glob) {
+    const tokens = new Map([['/**', '(?:/.*)?'], ['**/', '(?:.*/)?'], ['**', '.*'], ['*', '[^/]*'], ['?', '[^/]']]);
+    const body = glob.replace(/^\//, '').split(/(\/\*\*$|\*\*\/|\*\*|\*|\?)/)
+      .map(part => tokens.has(part) ? tokens.get(part) : part.replace(/[.+^${}()|[\]\\]/g, '\\$&'))
+      .join('');
+    return new RegExp(`(?:^|/)${body}$`);
+  }
+
+  // Script-origin patterns are host globs: '*.coveo.com', 'cdn.example.com'. A leading '*.' also matches
+  // the bare domain, so '*.coveo.com' covers coveo.com as well as its subdomains.
+  compileHostGlob(glob) {
+    const escape = part => part.split('*').map(piece => piece.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*');
+    const body = glob.startsWith('*.') ? `(?:.*\\.)?${escape(glob.slice(2))}` : escape(glob);
+    return new RegExp(`^${body}$`, 'i');
+  }
+
+  async loadOwnership() {
+    let config = {};
+    try {
+      config = JSON.parse(await fs.readFile(this.config.ownersPath, 'utf-8'));
+    } catch (error) {
+      if (error.code !== 'ENOENT') this.logger.error(`Error loading ownership config: ${error.message}`);
+    }
+
+    this.ownership = {
+      defaultTeam: config.defaultTeam || 'Unassigned',
+      paths: (config.paths || []).map(rule => ({ ...rule, regex: this.compilePathGlob(rule.pattern) })),
+      scripts: (config.scripts || []).map(rule => ({ ...rule, regex: this.compileHostGlob(rule.pattern) }))
+    };
+    this.logger.log(`Loaded ${this.ownership.paths.length} path and ${this.ownership.scripts.length} script ownership rule(s)`);
+  }
+
+  // First matching path rule wins, so list specific globs before broad ones
+  getPageOwner(url) {
+    let pathname;
+    try {
+      pathname = new URL(url).pathname;
+    } catch (e) {
+      return this.ownership.defaultTeam;
+    }
+    const rule = this.ownership.paths.find(r => r.regex.test(pathname));
+    return rule ? rule.team : this.ownership.defaultTeam;
+  }
+
+  // A script rule claims the group wherever it shows up; otherwise the team owning most affected pages does
+  applyOwnership() {
+    for (const group of this.errorGroups.values()) {
+      const hosts = this.getAttributionUrls(group.sampleError).map(u => new URL(u).hostname);
+      const scriptRule = this.ownership.scripts.find(r => hosts.some(host => r.regex.test(host)));
+      if (scriptRule) {
+        Object.assign(group, { owner: scriptRule.team, ownerSource: 'script' });
+        continue;
+      }
+
+      const teams = {};
+      group.pages.forEach(url => {
+        const team = this.getPageOwner(url);
+        teams[team] = (teams[team] || 0) + 1;
+      });
+      const [owner] = Object.entries(teams).sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))[0] || [this.ownership.defaultTeam];
+      Object.assign(group, { owner, ownerSource: owner === this.ownership.defaultTeam ? 'default' : 'path' });
+    }
+  }
+
+  applySeverity() {
+    for (const group of this.errorGroups.values()) {
+      group.category = this.classifier.classify(group.sampleError, group.errorClass, group.party);
+      group.severity = this.classifier.score(group.category, group.party, group.pages.size);
+    }
+  }
+
+  getTeamSummary() {
+    const teams = new Map();
+    const get = team => {
+      if (!teams.has(team)) teams.set(team, { team, pages: 0, withErrors: 0, failed: 0, totalErrors: 0, errorGroups: 0 });
+      return teams.get(team);
+    };
+    for (const [url, data] of this.pageErrors.entries()) {
+      const stats = get(this.getPageOwner(url));
+      stats.pages++;
+      if (data.errorCount > 0) stats.withErrors++;
+      if (!data.success) stats.failed++;
+      stats.totalErrors += data.errorCount;
+    }
+    for (const group of this.errorGroups.values()) {
+      get(group.owner || this.ownership.defaultTeam).errorGroups++;
+    }
+    return Array.from(teams.values()).sort((a, b) => b.errorGroups - a.errorGroups || a.team.localeCompare(b.team));
+  }
+
+  // One JSON file per team with its own pages and the groups it owns, written to <outputDir>/teams/
+  async writeTeamReports(report, timestamp) {
+    const dir = path.join(this.config.outputDir, 'teams');
+    await fs.mkdir(dir, { recursive: true });
+    const written = [];
+    for (const stats of report.teams) {
+      const slug = stats.team.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'team';
+      const teamPath = path.join(dir, `${slug}-${timestamp}.json`);
+      await fs.writeFile(teamPath, JSON.stringify({
+        timestamp: report.timestamp,
+        team: stats.team,
+        summary: stats,
+        errorGroups: report.errorGroups.filter(g => g.owner === stats.team),
+        pages: report.pages.filter(p => p.owner === stats.team)
+      }, null, 2));
+      written.push(teamPath);
+    }
+    return written;
+  }
+
+  addToGroups(url, locale, errors) {
+    errors.forEach(error => {
+      const signature = this.getErrorSignature(error);
+      if (!this.errorGroups.has(signature)) {
+        const { errorClass, normalizedText, frames } = this.fingerprinter.fingerprint(error);
+        const { vendor, party, origin } = this.attributeVendor(error);
+        const { status, knownIssue } = this.getBaselineStatus(signature);
+        this.errorGroups.set(signature, {
+          signature,
+          errorText: error.text,
+          errorLocation: error.location?.url || 'unknown',
+          errorClass,
+          normalizedText,
+          frames,
+          vendor,
+          party,
+          origin,
+          status,
+          knownIssue,
+          occurrences: 0,
+          pages: new Set(),
+          locales: new Set(),
+          sampleError: error
+        });
+      }
+      const group = this.errorGroups.get(signature);
+      group.occurrences++;
+      group.pages.add(url);
+      if (locale) group.locales.add(locale);
+    });
+  }
+
+  // A repeat visit only adds errors of groups the page has not shown yet; the rest of the page
+  // entry (status, redirects, submission) stays as recorded by the first visit. Group occurrences
+  // still count every visit, the same visits reproducibility is measured against.
+  mergeRepeatVisit(url, errors, visit) {
+    const pageData = this.pageErrors.get(url);
+    const seen = new Set(pageData.errors.map(e => this.getErrorSignature(e)));
+    const added = errors.filter(e => !seen.has(this.getErrorSignature(e))).map(e => ({ ...e, visit }));
+    pageData.errors.push(...added);
+    pageData.errorCount = pageData.errors.length;
+    pageData.visits = visit;
+  }
+
+  recordVisit(url, errors) {
+    if (!this.visitSignatures.has(url)) this.visitSignatures.set(url, []);
+    this.visitSignatures.get(url).push(new Set(errors.map(e => this.getErrorSignature(e))));
+  }
+
+  // Share of visits to a group's pages in which the group showed up
+  applyReproducibility() {
+    for (const [signature, group] of this.errorGroups.entries()) {
+      const visits = Array.from(group.pages).flatMap(url => this.visitSignatures.get(url) || []);
+      if (visits.length < 2) continue;
+      const hits = visits.filter(signatures => signatures.has(signature)).length;
+      group.reproducibility = {
+        visits: visits.length,
+        hits,
+        rate: Math.round(hits / visits.length * 100) / 100,
+        label: hits === visits.length ? 'deterministic' : 'intermittent'
+      };
+    }
+  }
+
+  async processUrl(browser, url, visit = 1) {
+    let page;
+    let retries = 0;
+    const locale = this.urlLocales.get(url) || null;
+    const formMode = this.config.submitForms && this.isFormUrl(url);
+    
+    while (retries <= this.config.retryLimit) {
+      try {
+        page = await browser.newPage();
+        
+        // --- FIX 1: Block Downloads via CDP ---
+        const client = await page.target().createCDPSession();
+        if (this.config.denyDownloads) {
+          await client.send('Page.setDownloadBehavior', {
+            behavior: 'deny' 
+          });
+        }
+
+        // --- OPTIMIZATION START: Block heavy resources ---
+        // Requests we abort ourselves are remembered so they are not reported as network failures
+        const blockedRequests = new WeakSet();
+        const blocking = this.config.blockResources;
+        if (blocking) {
+          await page.setRequestInterception(true);
+          page.on('request', (req) => {
+            const reqUrl = req.url().toLowerCase();
+
+            // --- FIX 2: Explicitly block PDF and Font extensions in URL ---
+            if (blocking.extensions.some(ext => reqUrl.endsWith(ext)) || blocking.types.includes(req.resourceType())) {
+              blockedRequests.add(req);
+              req.abort();
+            } else {
+              req.continue();
+            }
+          });
+        }
+        
+        // Monitor Response Headers to catch binary files that weren't caught by extension
+        page.on('response', response => {
+            const headers = response.headers();
+            const contentType = headers['content-type'] || '';
+            // If the main page navigation results in a PDF or binary stream, we stop tracking
+            if (response.url() === url && (contentType.includes('application/pdf') || contentType.includes('application/octet-stream'))) {
+                // We don't consider this an error, just a non-html page
+            }
+        });
+        // --- OPTIMIZATION END ---
+
+        const errors = [];
+        // In form-submission mode every finding is tagged with the page it came from: 'form' or 'confirmation'
+        const flow = formMode ? { phase: 'form', submitted: false } : null;
+        page.on('framenavigated', frame => {
+          if (flow && flow.submitted && frame === page.mainFrame()) flow.phase = 'confirmation';
+        });
+        
+        page.on('console', msg => {
+          try {
+            const type = msg.type();
+            const text = msg.text ? msg.text() : msg.args()[0]?.toString() || '';
+
+            if (this.isRecordedConsoleMessage(type, text)) {
+              errors.push({
+                text: text,
+                location: msg.location?.() || {},
+                type,
+                ...(this.config.consoleArgs && { args: msg.args().map(arg => arg.toString()) }),
+                timestamp: new Date().toISOString(),
+                ...(flow && { phase: flow.phase })
+              });
+            }
+          } catch (e) { /* ignore */ }
+        });
+        
+        const recordNetworkError = (request, details) => {
+          const initiator = request.initiator?.() || {};
+          const initiatorUrl = initiator.url || initiator.stack?.callFrames?.[0]?.url || null;
+          const normalizedUrl = this.normalizeRequestUrl(request.url());
+          errors.push({
+            text: details.status
+              ? `HTTP ${details.status} ${request.method()} ${normalizedUrl} (${request.resourceType()})`
+              : `Request failed ${details.failure} ${request.method()} ${normalizedUrl} (${request.resourceType()})`,
+            location: { url: normalizedUrl },
+            type: 'network',
+            network: {
+              url: request.url(),
+              method: request.method(),
+              resourceType: request.resourceType(),
+              status: details.status || null,
+              failure: details.failure || null,
+              initiator: { type: initiator.type || 'other', url: initiatorUrl }
+            },
+            timestamp: new Date().toISOString(),
+            ...(flow && { phase: flow.phase })
+          });
+        };
+
+        page.on('requestfailed', request => {
+          if (blockedRequests.has(request)) return;
+          const failure = request.failure()?.errorText || 'unknown';
+          // Navigating away (e.g. after a form submit) cancels in-flight requests; that is not a failure
+          if (failure === 'net::ERR_ABORTED') return;
+          recordNetworkError(request, { failure });
+        });
+
+        page.on('response', response => {
+          if (response.status() >= 400) recordNetworkError(response.request(), { status: response.status() });
+        });
+
+        page.on('pageerror', error => {
+            errors.push({
+            text: error.message,
+            stack: error.stack,
+            type: 'pageerror',
+            timestamp: new Date().toISOString(),
+            ...(flow && { phase: flow.phase })
+          });
+        });
+        
+        await this.attachCspListeners(page, client, errors, flow);
+
+        const hookFindings = [];
+        if (this.config.errorInstrumentation) {
+          await this.attachErrorInstrumentation(page, hookFindings, flow);
+        }
+
+        // --- FIX 4: Relaxed Timeout Strategy (see waitUntil in the config) ---
+        const response = await page.goto(url, { waitUntil: this.config.waitUntil, timeout: this.config.timeout });
+        
+        // Wait a buffer period for JS to execute
+        await new Promise(resolve => setTimeout(resolve, this.config.settleTime));
+
+        const documentInfo = this.getDocumentInfo(url, response, page.url());
+        const documentFailure = this.getDocumentFailure(url, documentInfo);
+
+        // A page that failed to load properly has no form or content worth checking
+        let submission = null;
+        if (flow && !documentFailure) {
+          submission = await this.submitForm(page, flow, locale);
+          errors.push(...this.getValidationFindings(submission));
+        }
+
+        // Assertions run against wherever the scan ended: the confirmation page in form mode, else the page itself
+        if (!documentFailure) {
+          errors.push(...await this.checkAssertions(page, this.getAssertionRules(url, page.url(), locale), flow));
+        }
+
+        this.mergeInstrumentedErrors(errors, hookFindings);
+
+        let phases = null;
+        if (flow) {
+          phases = [{ name: 'form', url, errorCount: errors.filter(e => e.phase === 'form').length }];
+          if (submission && submission.navigated) {
+            phases.push({ name: 'confirmation', url: submission.finalUrl, errorCount: errors.filter(e => e.phase === 'confirmation').length });
+          }
+        }
+        
+        if (visit > 1 && this.pageErrors.has(url)) {
+          this.mergeRepeatVisit(url, errors, visit);
+          this.addToGroups(url, locale, errors);
+        } else {
+          this.pageErrors.set(url, {
+            url,
+            locale,
+            errorCount: errors.length,
+            errors: errors,
+            scannedAt: new Date().toISOString(),
+            success: !documentFailure,
+            ...(documentFailure && { failureReason: documentFailure }),
+            ...documentInfo,
+            ...(flow && { mode: 'form-submit', submission, phases })
+          });
+          this.addToGroups(url, locale, errors);
+        }
+        this.recordVisit(url, errors);
+        
+        await page.close();
+        return { url, success: !documentFailure, errorCount: errors.length };
+      } catch (error) {
+        if (page) await page.close().catch(() => {});
+        
+        // If it's a "net::ERR_ABORTED" on the main document, it usually means we blocked a PDF download intentionally.
+        // We treat this as a success with 0 errors.
+        // A repeat visit that fails leaves the first visit's result alone and does not count as a visit
+        if (visit > 1 && (error.message.includes('net::ERR_ABORTED') || error.message.includes('net::ERR_FAILED') || retries >= this.config.retryLimit)) {
+          return { url, success: false, error: error.message };
+        }
+
+        if (error.message.includes('net::ERR_ABORTED') || error.message.includes('net::ERR_FAILED')) {
+             this.pageErrors.set(url, {
+                url,
+                locale,
+                errorCount: 0,
+                errors: [],
+                scannedAt: new Date().toISOString(),
+                success: true, // Marked as success because we intentionally blocked it
+                failureReason: "Resource blocked (PDF/Font)"
+              });
+             return { url, success: true, errorCount: 0 };
+        }
+
+        if (++retries > this.config.retryLimit) {
+          this.logger.error(`Failed to process ${url}: ${error.message}`);
+          
+          this.pageErrors.set(url, {
+            url,
+            locale,
+            errorCount: 0,
+            errors: [],
+            scannedAt: new Date().toISOString(),
+            success: false,
+            failureReason: error.message
+          });
+          
+          return { url, success: false, error: error.message };
+        }
+        await new Promise(resolve => setTimeout(resolve, 1000 * retries));
+      }
+    }
+  }
+
+  async resolveSourceMaps() {
+    if (!this.config.sourceMaps) return;
+
+    const resolver = new SourceMapResolver(this.config.sourceMaps);
+    // Group samples too: a group first seen on a repeat visit samples the visit's error, not the page's copy of it
+    const errors = Array.from(new Set([
+      ...Array.from(this.pageErrors.values()).flatMap(p => p.errors),
+      ...Array.from(this.errorGroups.values()).map(g => g.sampleError)
+    ])).filter(e => !['network', 'csp', 'assertion', 'validation'].includes(e.type) && (e.stack || e.location?.url));
+
+    // Each script's map is loaded once and cached, so this stays cheap even across thousands of pages
+    for (let i = 0; i < errors.length; i += this.config.maxConcurrent) {
+      await Promise.all(errors.slice(i, i + this.config.maxConcurrent).map(e => resolver.resolveError(e)));
+    }
+
+    const resolved = errors.filter(e => e.resolvedStack || e.resolvedLocation).length;
+    this.logger.log(`Resolved ${resolved}/${errors.length} errors through source maps`);
+  }
+
+  async processUrls(urls, visit = 1) {
+    const results = [];
+    const BROWSER_ROTATION_LIMIT = this.config.browserRotationLimit;
+    
+    const browserChunks = [];
+    for (let i = 0; i < urls.length; i += BROWSER_ROTATION_LIMIT) {
+      browserChunks.push(urls.slice(i, i + BROWSER_ROTATION_LIMIT));
+    }
+
+    this.logger.log(`Job split into ${browserChunks.length} browser sessions to prevent memory leaks.`);
+
+    for (let chunkIndex = 0; chunkIndex < browserChunks.length; chunkIndex++) {
+      const currentChunk = browserChunks[chunkIndex];
+      this.logger.log(`Starting Browser Session ${chunkIndex + 1}/${browserChunks.length} (Processing ${currentChunk.length} URLs)`);
+
+      const browser = await puppeteer.launch({
+        headless: 'new',
+        args: [
+          '--no-sandbox',
+          '--disable-setuid-sandbox',
+          '--disable-dev-shm-usage',
+          '--disable-gpu',
+          '--no-first-run',
+          '--no-zygote',
+        ]
+      });
+
+      try {
+        const batches = [];
+        for (let i = 0; i < currentChunk.length; i += this.config.maxConcurrent) {
+          batches.push(currentChunk.slice(i, i + this.config.maxConcurrent));
+        }
+
+        for (let i = 0; i < batches.length; i++) {
+          this.logger.log(`  Processing batch ${i + 1}/${batches.length} in current session...`);
+          
+          const batchPromises = batches[i].map(url => 
+            this.processUrl(browser, url, visit)
+          );
+          
+          const batchResults = await Promise.allSettled(batchPromises);
+          results.push(...batchResults.map(r => r.value || r.reason));
+          
+          if (i < batches.length - 1) {
+            await new Promise(resolve => setTimeout(resolve, 1000));
+          }
+        }
+      } catch (err) {
+        this.logger.error("Critical error in browser session:", err);
+      } finally {
+        await browser.close(); 
+        if (global.gc) { global.gc(); } 
+      }
+    }
+    
+    return results;
+  }
+
+  getLocaleSummary() {
+    const locales = new Map();
+    for (const data of this.pageErrors.values()) {
+      const key = data.locale || 'unknown';
+      if (!locales.has(key)) {
+        locales.set(key, { locale: key, total: 0, withErrors: 0, failed: 0, totalErrors: 0 });
+      }
+      const stats = locales.get(key);
+      stats.total++;
+      if (data.errorCount > 0) stats.withErrors++;
+      if (!data.success) stats.failed++;
+      stats.totalErrors += data.errorCount;
+    }
+    return Array.from(locales.values()).sort((a, b) => a.locale.localeCompare(b.locale));
+  }
+
+  getVendorSummary() {
+    const vendors = new Map();
+    for (const group of this.errorGroups.values()) {
+      if (!vendors.has(group.vendor)) {
+        vendors.set(group.vendor, { vendor: group.vendor, party: group.party, groups: 0, pages: new Set() });
+      }
+      const stats = vendors.get(group.vendor);
+      stats.groups++;
+      group.pages.forEach(url => stats.pages.add(url));
+    }
+    return Array.from(vendors.values())
+      .map(v => ({ ...v, pages: v.pages.size }))
+      .sort((a, b) => b.pages - a.pages || a.vendor.localeCompare(b.vendor));
+  }
+
+  // CSP findings grouped by violated directive and blocked host
+  getCspSummary() {
+    const groups = new Map();
+    for (const [url, data] of this.pageErrors.entries()) {
+      data.errors.filter(e => e.type === 'csp').forEach(e => {
+        const host = this.getCspBlockedHost(e.csp.blockedUri);
+        const key = `${e.csp.directive}|||${host}`;
+        if (!groups.has(key)) {
+          groups.set(key, { directive: e.csp.directive, blockedHost: host, violations: 0, pages: new Set(), sampleBlockedUri: e.csp.blockedUri, sampleSourceFile: e.csp.sourceFile || null });
+        }
+        const group = groups.get(key);
+        group.violations++;
+        group.pages.add(url);
+      });
+    }
+    return Array.from(groups.values())
+      .map(g => ({ ...g, pages: Array.from(g.pages) }))
+      .sort((a, b) => a.directive.localeCompare(b.directive) || b.pages.length - a.pages.length);
+  }
+
+  async findPreviousReport() {
+    if (this.config.previousReportPath) return this.config.previousReportPath;
+    try {
+      const reports = (await fs.readdir(this.config.outputDir))
+        .filter(name => /^error-report-.*\.json$/.test(name))
+        .sort();
+      return reports.length ? path.join(this.config.outputDir, reports[reports.length - 1]) : null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  // Which console messages a scan records. Old reports are read back through the same rules (see
+  // isRecordedError), so a message a newer filter drops does not diff as resolved.
+  isRecordedConsoleMessage(type, text) {
+    // --- FIX 3: Filter False Positives ---
+    if (this.config.consoleFilters.some(filter => filter.test(text))) return false;
+    // HTTP errors are already captured with status and initiator by the network listeners
+    if (text.startsWith('Failed to load resource: the server responded with a status of')) return false;
+    // Same for CSP violations, which are captured as structured 'csp' findings
+    if (text.startsWith('Refused to') && text.includes('Content Security Policy')) return false;
+    return this.config.consoleLevels.includes(type) || this.config.consoleKeepPatterns.some(pattern => pattern.test(text));
+  }
+
+  // Errors stored in an earlier report: findings are kept, console messages must pass today's capture rules
+  isRecordedError(error) {
+    if (FINDING_TYPES.includes(error.type)) return true;
+    return this.isRecordedConsoleMessage(error.type || 'error', error.text || '');
+  }
+
+  // Reads the previous run (or the given report) back into signature sets. Signatures are recomputed from the stored errors, so
+  // reports written before the current grouping (and v1's urlErrors schema) still diff cleanly.
+  async loadPreviousRun(reportPath) {
+    reportPath = reportPath || await this.findPreviousReport();
+    if (!reportPath) return null;
+
+    let report;
+    try {
+      report = JSON.parse(await fs.readFile(reportPath, 'utf-8'));
+    } catch (error) {
+      this.logger.error(`Error loading previous report ${reportPath}: ${error.message}`);
+      return null;
+    }
+
+    const groups = new Map();
+    const pages = new Map();
+    for (const page of report.pages || report.urlErrors || []) {
+      const signatures = new Set();
+      (page.errors || []).filter(error => this.isRecordedError(error)).forEach(error => {
+        let signature;
+        try {
+          signature = this.getErrorSignature(error);
+        } catch (e) {
+          return;
+        }
+        signatures.add(signature);
+        if (!groups.has(signature)) groups.set(signature, { errorText: error.text, pages: 0 });
+        groups.get(signature).pages++;
+      });
+      pages.set(page.url, { success: page.success !== false, signatures });
+    }
+
+    return {
+      path: reportPath,
+      timestamp: report.timestamp,
+      groups,
+      pages,
+      resolved: new Map(Object.entries(report.diff?.resolvedSignatures || {}))
+    };
+  }
+
+  // Groups: new, still-present, regressed (seen before, resolved since, back now) or resolved.
+  // Pages: only those whose status or set of error groups changed are listed.
+  computeDiff(previous) {
+    if (!previous) return null;
+
+    const now = new Date().toISOString();
+    const groups = { new: [], regressed: [], stillPresent: [], resolved: [] };
+    for (const [signature, group] of this.errorGroups.entries()) {
+      if (previous.groups.has(signature)) {
+        group.change = 'still-present';
+        groups.stillPresent.push(signature);
+      } else if (previous.resolved.has(signature)) {
+        group.change = 'regressed';
+        groups.regressed.push({ signature, errorText: group.errorText, resolvedAt: previous.resolved.get(signature).resolvedAt, affectedPagesCount: group.pages.size });
+      } else {
+        group.change = 'new';
+        groups.new.push({ signature, errorText: group.errorText, affectedPagesCount: group.pages.size });
+      }
+    }
+
+    // Carried forward from run to run so a later reappearance can be recognised as a regression
+    const resolvedSignatures = {};
+    for (const [signature, entry] of previous.resolved.entries()) {
+      if (!this.errorGroups.has(signature)) resolvedSignatures[signature] = entry;
+    }
+    for (const [signature, group] of previous.groups.entries()) {
+      if (this.errorGroups.has(signature)) continue;
+      groups.resolved.push({ signature, errorText: group.errorText, previousPagesCount: group.pages });
+      resolvedSignatures[signature] = { errorText: group.errorText, resolvedAt: now };
+    }
+
+    const pages = [];
+    for (const [url, data] of this.pageErrors.entries()) {
+      const signatures = new Set(data.errors.map(e => this.getErrorSignature(e)));
+      const before = previous.pages.get(url);
+      if (!before) {
+        pages.push({ url, change: 'new-page', addedErrors: Array.from(signatures), removedErrors: [] });
+        continue;
+      }
+      const addedErrors = Array.from(signatures).filter(sig => !before.signatures.has(sig));
+      const removedErrors = Array.from(before.signatures).filter(sig => !signatures.has(sig));
+      let change = null;
+      if (before.success && !data.success) change = 'started-failing';
+      else if (!before.success && data.success) change = 'recovered';
+      else if (addedErrors.length) change = 'new-errors';
+      else if (removedErrors.length) change = signatures.size === 0 ? 'errors-cleared' : 'fewer-errors';
+      if (change) pages.push({ url, change, addedErrors, removedErrors });
+    }
+    for (const url of previous.pages.keys()) {
+      if (!this.pageErrors.has(url)) pages.push({ url, change: 'not-scanned', addedErrors: [], removedErrors: [] });
+    }
+
+    return {
+      previousReport: path.basename(previous.path),
+      previousTimestamp: previous.timestamp || null,
+      summary: {
+        newGroups: groups.new.length,
+        regressedGroups: groups.regressed.length,
+        stillPresentGroups: groups.stillPresent.length,
+        resolvedGroups: groups.resolved.length,
+        changedPages: pages.length
+      },
+      groups,
+      pages,
+      resolvedSignatures
+    };
+  }
+
+  // Lifetime stats per fingerprint from the history store plus this run (v1's storeErrors() firstSeen/lastSeen/count,
+  // but kept across runs). Must run before this run is appended to the history.
+  async applyGroupHistory() {
+    const runs = (await this.history.readAll())
+      .map(run => ({ timestamp: run.timestamp, groups: new Map(run.groups.map(g => [g.signature, g.occurrences])) }));
+    const seenAt = new Date().toISOString();
+
+    for (const [signature, group] of this.errorGroups.entries()) {
+      let firstSeen = seenAt;
+      let totalOccurrences = group.occurrences || 0;
+      for (const run of runs) {
+        if (!run.groups.has(signature)) continue;
+        if (run.timestamp < firstSeen) firstSeen = run.timestamp;
+        totalOccurrences += run.groups.get(signature);
+      }
+
+      let consecutiveRuns = 1;
+      for (let i = runs.length - 1; i >= 0 && runs[i].groups.has(signature); i--) {
+        consecutiveRuns++;
+      }
+
+      Object.assign(group, { firstSeen, lastSeen: seenAt, consecutiveRuns, totalOccurrences });
+    }
+  }
+
+  // Condenses a JSON report of any schema into one history line. v1 reports keep their pages in
+  // urlErrors and only list pages that had errors; groups are rebuilt with the current fingerprints.
+  // htmlFile is the run's HTML report, if it has one, for trends.html to link to.
+  buildHistoryRecord(report, htmlFile) {
+    const schema = report.urlErrors ? 'v1' : report.errorGroups ? 'grouped' : 'pages';
+    const groups = new Map();
+    const pages = (report.pages || report.urlErrors || []).map(page => {
+      const errors = page.errors || [];
+      errors.forEach(error => {
+        let signature;
+        try {
+          signature = this.getErrorSignature(error);
+        } catch (e) {
+          return;
+        }
+        if (!groups.has(signature)) groups.set(signature, { signature, errorText: error.text, occurrences: 0, pages: new Set() });
+        const group = groups.get(signature);
+        group.occurrences++;
+        group.pages.add(page.url);
+      });
+      return {
+        url: page.url,
+        locale: page.locale || null,
+        status: page.success === false ? 'failed' : errors.length > 0 ? 'error' : 'success',
+        errorCount: errors.length
+      };
+    });
+
+    const summary = report.summary || {};
+    return {
+      runId: report.timestamp,
+      timestamp: report.timestamp,
+      schema,
+      report: htmlFile || null,
+      summary: {
+        pagesScanned: summary.totalPagesScanned ?? summary.totalUrlsScanned ?? pages.length,
+        pagesWithErrors: summary.pagesWithErrors ?? summary.affectedPages ?? pages.filter(p => p.errorCount > 0).length,
+        failedPages: summary.failedPages ?? pages.filter(p => p.status === 'failed').length,
+        totalErrors: summary.totalErrors ?? summary.totalOccurrences ?? pages.reduce((sum, p) => sum + p.errorCount, 0),
+        uniqueErrors: groups.size
+      },
+      groups: Array.from(groups.values()).map(g => ({ ...g, pages: g.pages.size })),
+      pages
+    };
+  }
+
+  // Backfills the history store from existing error-report-*.json files
+  async importHistory(dir = this.config.outputDir) {
+    const names = await fs.readdir(dir);
+    const files = names.filter(name => /^error-report-.*\.json$/.test(name)).sort();
+    const records = [];
+    for (const file of files) {
+      // Some runs only kept their JSON report
+      const htmlFile = file.replace(/\.json$/, '.html');
+      try {
+        records.push(this.buildHistoryRecord(JSON.parse(await fs.readFile(path.join(dir, file), 'utf-8')), names.includes(htmlFile) ? htmlFile : null));
+      } catch (error) {
+        this.logger.error(`Skipping ${file}: ${error.message}`);
+      }
+    }
+    const added = await this.history.appendMissing(records);
+    this.logger.log(`Imported ${added} run(s) into ${this.config.historyPath} (${records.length - added} already present)`);
+    this.logger.log(`Trends: ${await this.writeTrendsReport()}`);
+    return added;
+  }
+
+  // trends.html sits next to the run reports so its links to them stay relative. Reports deleted since
+  // (or never written, in history imported before that was checked) are not linked.
+  async writeTrendsReport() {
+    const trendsPath = path.join(this.config.outputDir, 'trends.html');
+    await fs.mkdir(this.config.outputDir, { recursive: true });
+    const files = new Set(await fs.readdir(this.config.outputDir));
+    const runs = (await this.history.readAll()).map(run => run.report && !files.has(run.report) ? { ...run, report: null } : run);
+    await fs.writeFile(trendsPath, renderTrendsHtml(runs));
+    return trendsPath;
+  }
+
+  // Plain static report: summary, error groups and pages with problems, no script. Small enough to mail.
+  generateCompactHtmlReport(timestamp = new Date().toISOString()) {
+    const esc = text => this.escapeHtml(String(text ?? ''));
+    const pages = Array.from(this.pageErrors.values());
+    const groups = Array.from(this.errorGroups.values())
+      .sort((a, b) => (b.severity || 0) - (a.severity || 0) || b.pages.size - a.pages.size);
+    const problemPages = pages
+      .filter(p => p.errorCount > 0 || !p.success)
+      .sort((a, b) => b.errorCount - a.errorCount || a.url.localeCompare(b.url));
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8">
+  <title>Console Error Report</title>
+  <style>
+    body { font-family: system-ui, -apple-system, sans-serif; color: #333; margin: 20px; }
+    table { border-collapse: collapse; width: 100%; margin-bottom: 30px; font-size: 0.9rem; }
+    th, td { border: 1px solid #e2e8f0; padding: 6px 8px; text-align: left; vertical-align: top; }
+    th { background: #f8fafc; }
+    .err { font-family: monospace; color: #dc2626; word-break: break-word; }
+    .failed { color: #dc2626; font-weight: bold; }
+  </style>
+</head>
+<body>
+  <h1>Console Error Report</h1>
+  <p>Generated ${esc(new Date(timestamp).toLocaleString())} ·
+    ${this.processedUrls.size} pages scanned ·
+    ${pages.filter(p => p.errorCount > 0).length} with errors ·
+    ${pages.filter(p => !p.success).length} failed ·
+    ${groups.length} unique errors</p>
+
+  <h2>Errors</h2>
+  <table>
+    <tr><th>Error</th><th>Category</th><th>Severity</th><th>Owner</th><th>Pages</th></tr>
+    ${groups.map(g => `<tr><td class="err">${esc(g.errorText)}</td><td>${esc(g.category)}</td><td>${g.severity || 0}</td><td>${esc(g.owner)}</td><td>${g.pages.size}</td></tr>`).join('\n    ')}
+  </table>
+
+  <h2>Pages</h2>
+  <table>
+    <tr><th>URL</th><th>Locale</th><th>Errors</th><th>Status</th></tr>
+    ${problemPages.map(p => `<tr><td><a href="${esc(p.url)}">${esc(p.url)}</a></td><td>${esc(p.locale)}</td><td>${p.errorCount}</td><td${p.success ? '' : ' class="failed"'}>${p.success ? 'loaded' : esc(p.failureReason || 'failed')}</td></tr>`).join('\n    ')}
+  </table>
+</body>
+</html>`;
+  }
+
+  // A re-rendered report keeps its original timestamp, and with it the exclusions saved for it in the browser
+  async generateHtmlReport(timestamp = new Date().toISOString()) {
+    if (this.config.reportFlavor === 'compact') return this.generateCompactHtmlReport(timestamp);
+
+    
+    const sortedPages = Array.from(this.pageErrors.entries())
+      .sort((a, b) => {
+        if (b[1].errorCount !== a[1].errorCount) return b[1].errorCount - a[1].errorCount;
+        return a[0].localeCompare(b[0]);
+      })
+      .map(([url, data]) => ({
+        url: url,
+        locale: data.locale,
+        owner: this.getPageOwner(url),
+        status: !data.success ? 'failed' : data.errorCount > 0 ? 'error' : 'success',
+        errorCount: data.errorCount,
+        uniqueErrors: new Set(data.errors.map(e => this.getErrorSignature(e))).size,
+        scannedAt: data.scannedAt,
+        failureReason: data.failureReason,
+        phases: data.phases || null,
+        submission: data.submission || null,
+        httpStatus: data.httpStatus || null,
+        finalUrl: data.finalUrl || url,
+        redirectChain: data.redirectChain || [],
+        errors: data.errors.map(e => ({
+          t: e.text,
+          type: e.type,
+          ph: e.phase,
+          l: e.location?.url ? `${e.location.url}:${e.location.lineNumber || ''}` : null,
+          i: e.network?.initiator?.url || null,
+          rl: e.resolvedLocation ? `${e.resolvedLocation.source}:${e.resolvedLocation.line}${e.resolvedLocation.name ? ` (${e.resolvedLocation.name})` : ''}` : null,
+          rs: e.resolvedStack || null,
+          s: this.getErrorSignature(e)
+        }))
+      }));
+
+    const sortedErrorGroups = Array.from(this.errorGroups.values())
+      .sort((a, b) => (b.severity || 0) - (a.severity || 0) || b.pages.size - a.pages.size)
+      .map(group => ({
+        sig: group.signature,
+        text: group.errorText,
+        loc: group.errorLocation,
+        cls: group.errorClass,
+        norm: group.normalizedText,
+        frames: group.frames,
+        rs: group.sampleError.resolvedStack || null,
+        vendor: group.vendor,
+        party: group.party,
+        st: group.status,
+        ki: group.knownIssue,
+        ch: group.change || null,
+        fs: group.firstSeen || null,
+        ls: group.lastSeen || null,
+        cr: group.consecutiveRuns || 1,
+        to: group.totalOccurrences || group.occurrences || 0,
+        rp: group.reproducibility || null,
+        owner: group.owner || null,
+        cat: group.category || null,
+        sev: group.severity || 0,
+        count: group.pages.size,
+        locales: Array.from(group.locales).sort(),
+        pages: Array.from(group.pages)
+      }));
+
+    const summary = {
+        total: this.processedUrls.size,
+        withErrors: sortedPages.filter(p => p.errorCount > 0).length,
+        validationFailures: sortedPages.filter(p => p.errors.some(e => e.type === 'validation')).length,
+        assertionFailures: sortedPages.filter(p => p.errors.some(e => e.type === 'assertion')).length,
+        networkFailures: sortedPages.filter(p => p.errors.some(e => e.type === 'network')).length,
+        redirected: sortedPages.filter(p => p.redirectChain.length > 0).length,
+        cspViolations: sortedPages.filter(p => p.errors.some(e => e.type === 'csp')).length,
+        failed: sortedPages.filter(p => p.status === 'failed').length,
+        totalErrors: sortedPages.reduce((sum, p) => sum + p.errorCount, 0),
+        uniqueErrors: sortedErrorGroups.length,
+        knownErrors: sortedErrorGroups.filter(g => g.st === 'known').length,
+        intermittentErrors: sortedErrorGroups.filter(g => g.rp && g.rp.label === 'intermittent').length,
+        urlIssues: this.urlIssues.length,
+        // Key for exclusions saved in browser storage
+        reportId: timestamp,
+        generated: new Date(timestamp).toLocaleString()
+    };
+
+    const html = `
+<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <title>Console Error Report</title>
+  <style>
+    :root { --primary: #667eea; --secondary: #764ba2; --bg: #f5f5f5; --white: #fff; --border: #e0e0e0; }
+    * { margin: 0; padding: 0; box-sizing: border-box; }
+    body { font-family: system-ui, -apple-system, sans-serif; background: var(--bg); color: #333; line-height: 1.5; padding: 20px; }
+    
+    /* Layout */
+    .container { max-width: 1400px; margin: 0 auto; background: var(--white); border-radius: 8px; box-shadow: 0 4px 6px rgba(0,0,0,0.1); overflow: hidden; }
+    header { background: linear-gradient(135deg, var(--primary), var(--secondary)); color: var(--white); padding: 25px; }
+    h1 { font-size: 1.8rem; margin-bottom: 10px; }
+    .meta-grid { display: grid; grid-template-columns: repeat(auto-fit, minmax(200px, 1fr)); gap: 15px; font-size: 0.9rem; opacity: 0.9; }
+    
+    /* Summary Stats */
+    .summary-bar { display: grid; grid-template-columns: repeat(auto-fit, minmax(150px, 1fr)); gap: 20px; padding: 20px; background: #fafafa; border-bottom: 1px solid var(--border); }
+    .stat-box { text-align: center; background: var(--white); padding: 15px; border-radius: 6px; border: 1px solid var(--border); position: relative; }
+    .stat-num { font-size: 2rem; font-weight: bold; color: var(--primary); }
+    .stat-num.red { color: #dc2626; }
+    .stat-num.blue { color: #2563eb; }
+    .stat-label { font-size: 0.85rem; color: #666; text-transform: uppercase; letter-spacing: 0.5px; }
+
+    /* Navigation */
+    .tabs { display: flex; background: #fafafa; border-bottom: 1px solid var(--border); }
+    .tab-btn { flex: 1; padding: 15px; border: none; background: none; cursor: pointer; font-size: 1rem; color: #666; transition: 0.2s; border-bottom: 3px solid transparent; }
+    .tab-btn:hover { background: #f0f0f0; }
+    .tab-btn.active { color: var(--primary); border-bottom-color: var(--primary); background: var(--white); font-weight: 600; }
+    
+    /* Content Areas */
+    .tab-content { display: none; padding: 20px; }
+    .tab-content.active { display: block; }
+    
+    /* Filters */
+    .controls { display: flex; gap: 10px; margin-bottom: 20px; flex-wrap: wrap; }
+    input, select, button.action-btn { padding: 8px 12px; border: 1px solid #ddd; border-radius: 4px; font-size: 0.9rem; }
+    input { flex: 1; min-width: 200px; }
+    button.action-btn { background: var(--white); cursor: pointer; }
+    button.action-btn:hover { background: #f0f0f0; }
+
+    /* Tables/Lists */
+    .list-container { display: flex; flex-direction: column; gap: 10px; }
+    .card { border: 1px solid var(--border); border-radius: 6px; background: var(--white); overflow: hidden; }
+    .card-header { padding: 12px 15px; display: flex; align-items: center; justify-content: space-between; cursor: pointer; background: #f8fafc; transition: background 0.2s; }
+    .card-header:hover { background: #f1f5f9; }
+    
+    /* Card States */
+    .card.success .card-header { border-left: 4px solid #10b981; }
+    .card.error .card-header { border-left: 4px solid #f59e0b; }
+    .card.failed .card-header { border-left: 4px solid #ef4444; background: #fef2f2; }
+    
+    .card-title { font-family: monospace; font-size: 0.95rem; color: #2563eb; flex: 1; word-break: break-all; margin-right: 15px; }
+    .badges { display: flex; gap: 8px; align-items: center; }
+    .badge { padding: 3px 8px; border-radius: 12px; font-size: 0.75rem; font-weight: bold; }
+    .badge.green { background: #d1fae5; color: #065f46; }
+    .badge.red { background: #fee2e2; color: #991b1b; }
+    .badge.blue { background: #dbeafe; color: #1e40af; }
+    .exclude-btn { padding: 3px 8px; font-size: 0.75rem; background: #fecaca; color: #991b1b; border: 1px solid #dc2626; border-radius: 4px; cursor: pointer; }
+    .exclude-btn.excluded { background: #d1fae5; color: #065f46; border-color: #10b981; }
+    .card.excluded { opacity: 0.5; }
+
+    /* What Changed */
+    .changes { padding: 20px; border-bottom: 1px solid var(--border); }
+    .changes h2 { font-size: 1.2rem; margin-bottom: 10px; }
+    .changes-grid { display: grid; grid-template-columns: repeat(auto-fit, minmax(300px, 1fr)); gap: 20px; margin-top: 15px; }
+    .changes-grid h3 { font-size: 0.95rem; margin-bottom: 6px; color: #666; }
+    .change-row { font-size: 0.85rem; padding: 4px 0; border-bottom: 1px solid #f0f0f0; word-break: break-all; }
+    
+    .card-body { display: none; padding: 15px; border-top: 1px solid var(--border); background: #fff; }
+    .card.expanded .card-body { display: block; }
+    
+    .error-row { border-left: 3px solid #dc2626; padding: 10px; background: #fafafa; margin-bottom: 8px; font-size: 0.9rem; }
+    .err-msg { color: #dc2626; font-family: monospace; word-break: break-word; margin-bottom: 4px; }
+    .err-loc { color: #666; font-size: 0.8rem; }
+    .err-stack { color: #444; font-size: 0.8rem; background: #f1f5f9; padding: 6px; margin-top: 4px; white-space: pre-wrap; word-break: break-all; }
+    
+    /* Load More */
+    .load-more-container { text-align: center; padding: 20px; }
+    .load-btn { background: var(--primary); color: white; border: none; padding: 10px 30px; border-radius: 20px; cursor: pointer; font-size: 1rem; }
+    .load-btn:hover { opacity: 0.9; }
+    
+    /* Simple Table */
+    .data-table { width: 100%; border-collapse: collapse; font-size: 0.9rem; }
+    .data-table th, .data-table td { border: 1px solid #e2e8f0; padding: 8px; text-align: left; }
+    .data-table th { background: #f8fafc; font-weight: 600; }
+    .data-table tr:nth-child(even) { background: #f8fafc; }
+  </style>
+</head>
+<body>
+  <div class="container">
+    <header>
+      <h1>🔍 Console Error Monitor</h1>
+      <div class="meta-grid" id="header-meta"></div>
+    </header>
+
+    <div class="summary-bar" id="summary-bar">
+      </div>
+
+    <div class="changes" id="what-changed" style="display:none;"></div>
+
+    <div class="tabs">
+      <button id="tab-btn-pages" class="tab-btn active" onclick="app.switchTab('pages')">📄 Pages View</button>
+      <button id="tab-btn-errors" class="tab-btn" onclick="app.switchTab('errors')">🔗 Errors Grouped</button>
+      <button id="tab-btn-locs" class="tab-btn" onclick="app.switchTab('locs')">📍 Locations Table</button>
+      <button id="tab-btn-locales" class="tab-btn" onclick="app.switchTab('locales')">🌍 Locales</button>
+      <button id="tab-btn-csp" class="tab-btn" onclick="app.switchTab('csp')">🛡️ CSP</button>
+      <button id="tab-btn-vendors" class="tab-btn" onclick="app.switchTab('vendors')">🏷️ By Vendor</button>
+      <button id="tab-btn-teams" class="tab-btn" onclick="app.switchTab('teams')">👥 Teams</button>
+    </div>
+
+    <div id="view-pages" class="tab-content active">
+      <div class="controls">
+        <input type="text" id="search-pages" placeholder="Search URL or Error text..." onkeyup="app.debounceSearch()">
+        <select id="filter-pages" onchange="app.renderPages(true)">
+          <option value="all">All Status</option>
+          <option value="error">Has Errors</option>
+          <option value="validation">Validation Failures</option>
+          <option value="assertion">Assertion Failures</option>
+          <option value="network">Network Failures</option>
+          <option value="csp">CSP Violations</option>
+          <option value="failed">Failed to Load</option>
+          <option value="redirected">Redirected</option>
+          <option value="success">Clean</option>
+        </select>
+        <select id="filter-locale" onchange="app.renderPages(true)">
+          <option value="all">All Locales</option>
+        </select>
+        <select id="filter-team" onchange="app.renderPages(true)">
+          <option value="all">All Teams</option>
+        </select>
+        <label><input type="checkbox" id="hide-third-party-pages" style="min-width:0; flex:none;" onchange="app.renderPages(true)"> Hide third-party errors</label>
+        <button class="action-btn" onclick="app.toggleAll('pages-list', true)">Expand All</button>
+        <button class="action-btn" onclick="app.toggleAll('pages-list', false)">Collapse All</button>
+      </div>
+      <div id="pages-list" class="list-container"></div>
+      <div class="load-more-container" id="pages-load-more" style="display:none">
+        <button class="load-btn" onclick="app.renderPages(false)">Load More</button>
+      </div>
+    </div>
+
+    <div id="view-errors" class="tab-content">
+      <div class="controls">
+        <input type="text" id="search-groups" placeholder="Search error text..." onkeyup="app.debounceSearchGroups()">
+        <select id="filter-party" onchange="app.renderGroups()">
+          <option value="all">All Origins</option>
+          <option value="first">First-party only</option>
+          <option value="third">Third-party only</option>
+        </select>
+        <select id="filter-group-team" onchange="app.renderGroups()">
+          <option value="all">All Teams</option>
+        </select>
+        <select id="filter-status" onchange="app.renderGroups()">
+          <option value="all">New & Known</option>
+          <option value="new">New only</option>
+          <option value="known">Known only</option>
+        </select>
+        <select id="sort-groups" onchange="app.renderGroups()">
+          <option value="severity">Sort: Severity</option>
+          <option value="pages">Sort: Most pages</option>
+          <option value="firstSeen-desc">Sort: Newest first seen</option>
+          <option value="firstSeen-asc">Sort: Oldest first seen</option>
+          <option value="lastSeen-desc">Sort: Last seen</option>
+          <option value="consecutive-desc">Sort: Most consecutive runs</option>
+          <option value="total-desc">Sort: Most total occurrences</option>
+        </select>
+      </div>
+      <div class="controls">
+        <input type="text" id="exclude-owner" placeholder="Owner for new exclusions">
+        <input type="text" id="exclude-ticket" placeholder="Ticket">
+        <input type="text" id="exclude-reason" placeholder="Reason">
+        <input type="date" id="exclude-expires" title="Expires (optional)" style="flex:none; min-width:0;">
+        <button class="action-btn" onclick="app.downloadSuppressionFile()">⬇️ Download suppression file (<span id="exclude-count">0</span>)</button>
+      </div>
+      <div id="groups-list" class="list-container"></div>
+    </div>
+
+    <div id="view-locs" class="tab-content">
+      <div style="overflow-x: auto;">
+        <table class="data-table">
+          <thead><tr><th>Error Message</th><th>Location</th><th>Count</th></tr></thead>
+          <tbody id="locs-body"></tbody>
+        </table>
+      </div>
+    </div>
+
+    <div id="view-locales" class="tab-content">
+      <div style="overflow-x: auto;">
+        <table class="data-table">
+          <thead><tr><th>Locale</th><th>Scanned</th><th>With Errors</th><th>Failed</th><th>Total Logs</th></tr></thead>
+          <tbody id="locales-body"></tbody>
+        </table>
+      </div>
+    </div>
+
+    <div id="view-teams" class="tab-content">
+      <div style="overflow-x: auto;">
+        <table class="data-table">
+          <thead><tr><th>Team</th><th>Pages</th><th>With Errors</th><th>Failed</th><th>Total Logs</th><th>Error Groups Owned</th></tr></thead>
+          <tbody id="teams-body"></tbody>
+        </table>
+      </div>
+    </div>
+
+    <div id="view-vendors" class="tab-content">
+      <div style="overflow-x: auto;">
+        <table class="data-table">
+          <thead><tr><th>Vendor / Origin</th><th>Party</th><th>Error Groups</th><th>Pages</th></tr></thead>
+          <tbody id="vendors-body"></tbody>
+        </table>
+      </div>
+    </div>
+
+    <div id="view-csp" class="tab-content">
+      <div id="csp-list" class="list-container"></div>
+    </div>
+  </div>
+
+  <script>
+    window.REPORT_DATA = ${JSON.stringify({ summary, pages: sortedPages, groups: sortedErrorGroups, locales: this.getLocaleSummary(), teams: this.getTeamSummary(), csp: this.getCspSummary(), vendors: this.getVendorSummary(), diff: this.diff && { ...this.diff, groups: { ...this.diff.groups, stillPresent: undefined }, resolvedSignatures: undefined }, baseline: Array.from(this.baseline.values()).map(({ expiresAt, ...issue }) => issue) })};
+  </script>
+
+  <script>
+    const app = {
+      data: window.REPORT_DATA,
+      state: {
+        pageLimit: 50,
+        pageOffset: 0,
+        activeTab: 'pages',
+        filteredPages: [],
+        visibleGroups: []
+      },
+
+      // Exclusions made in this report: signature -> baseline entry, or null for a known issue that was re-included
+      exclusions: {},
+
+      init() {
+        this.partyBySig = {};
+        this.data.groups.forEach(g => { this.partyBySig[g.sig] = g.party; });
+        this.loadExclusions();
+        this.renderHeader();
+        this.renderSummary();
+        this.renderChanges();
+        this.filterPages(); 
+        this.renderPages(true);
+        this.renderGroups();
+        this.renderLocs();
+        this.renderLocales();
+        this.renderCsp();
+        this.renderVendors();
+        this.renderTeams();
+      },
+
+      renderHeader() {
+        const d = this.data.summary;
+        document.getElementById('filter-locale').insertAdjacentHTML('beforeend',
+          this.data.locales.map(l => \`<option value="\${this.escape(l.locale)}">\${this.escape(l.locale)}</option>\`).join(''));
+        const teamOptions = this.data.teams.map(t => \`<option value="\${this.escape(t.team)}">\${this.escape(t.team)}</option>\`).join('');
+        document.getElementById('filter-team').insertAdjacentHTML('beforeend', teamOptions);
+        document.getElementById('filter-group-team').insertAdjacentHTML('beforeend', teamOptions);
+        document.getElementById('header-meta').innerHTML = \`
+          <div>📅 Generated: \${d.generated}</div>
+          <div>🌐 Total Pages: \${d.total}</div>
+          <div>🌍 Locales: \${this.data.locales.length}</div>
+          <div>↪️ Redirected: \${d.redirected}</div>
+          \${d.urlIssues > 0 ? \`<div>⚠️ URL Issues: \${d.urlIssues} (see JSON report)</div>\` : ''}
+        \`;
+      },
+
+      renderSummary() {
+        const d = this.data.summary;
+        // --- FIX 5: Highlighted Unique Errors in HTML ---
+        document.getElementById('summary-bar').innerHTML = \`
+          <div class="stat-box"><div class="stat-num">\${d.total}</div><div class="stat-label">Scanned</div></div>
+          <div class="stat-box"><div class="stat-num \${d.withErrors>0?'red':''} ">\${d.withErrors}</div><div class="stat-label">With Errors</div></div>
+          <div class="stat-box"><div class="stat-num \${d.failed>0?'red':''} ">\${d.failed}</div><div class="stat-label">Failed</div></div>
+          
+          <div class="stat-box" style="border: 2px solid var(--primary); background: #f0f7ff;">
+            <div class="stat-num blue">\${d.uniqueErrors}</div>
+            <div class="stat-label">Unique Errors</div>
+          </div>
+          
+          <div class="stat-box"><div class="stat-num">\${d.totalErrors}</div><div class="stat-label">Total Logs</div></div>
+          \${d.intermittentErrors > 0 ? \`<div class="stat-box"><div class="stat-num">\${d.intermittentErrors}</div><div class="stat-label">Intermittent Errors</div></div>\` : ''}
+          \${d.knownErrors > 0 ? \`<div class="stat-box"><div class="stat-num">\${d.uniqueErrors - d.knownErrors} / \${d.knownErrors}</div><div class="stat-label">New / Known Errors</div></div>\` : ''}
+          \${d.validationFailures > 0 ? \`<div class="stat-box"><div class="stat-num red">\${d.validationFailures}</div><div class="stat-label">Blocked Submits</div></div>\` : ''}
+          \${d.assertionFailures > 0 ? \`<div class="stat-box"><div class="stat-num red">\${d.assertionFailures}</div><div class="stat-label">Assertion Failures</div></div>\` : ''}
+          \${d.networkFailures > 0 ? \`<div class="stat-box"><div class="stat-num red">\${d.networkFailures}</div><div class="stat-label">Network Failures</div></div>\` : ''}
+          \${d.cspViolations > 0 ? \`<div class="stat-box"><div class="stat-num red">\${d.cspViolations}</div><div class="stat-label">CSP Violations</div></div>\` : ''}
+        \`;
+      },
+
+      renderChanges() {
+        const diff = this.data.diff;
+        if (!diff) return;
+        const s = diff.summary;
+        this.state.changedGroups = [...diff.groups.regressed, ...diff.groups.new];
+        const pageCounts = {};
+        diff.pages.forEach(p => { pageCounts[p.change] = (pageCounts[p.change] || 0) + 1; });
+
+        const container = document.getElementById('what-changed');
+        container.style.display = 'block';
+        container.innerHTML = \`
+          <h2>🔄 What changed since \${diff.previousTimestamp ? new Date(diff.previousTimestamp).toLocaleString() : this.escape(diff.previousReport)}</h2>
+          <div class="badges">
+            <span class="badge red">\${s.newGroups} new</span>
+            <span class="badge red">\${s.regressedGroups} regressed</span>
+            <span class="badge green">\${s.resolvedGroups} resolved</span>
+            <span class="badge blue">\${s.stillPresentGroups} still present</span>
+            <span class="badge blue">\${s.changedPages} pages changed</span>
+          </div>
+          <div class="changes-grid">
+            <div>
+              <h3>New & regressed errors</h3>
+              \${this.state.changedGroups.slice(0, 20).map((g, idx) => \`
+                <div class="change-row">\${g.resolvedAt ? '<span class="badge red">regressed</span> ' : ''}<a href="#" onclick="app.jumpToChangedGroup(\${idx}); return false;">\${this.escape(g.errorText)}</a> (\${g.affectedPagesCount} pages)</div>
+              \`).join('') || '<div class="change-row">None</div>'}
+            </div>
+            <div>
+              <h3>Resolved errors</h3>
+              \${diff.groups.resolved.slice(0, 20).map(g => \`
+                <div class="change-row">\${this.escape(g.errorText)} (was on \${g.previousPagesCount} pages)</div>
+              \`).join('') || '<div class="change-row">None</div>'}
+            </div>
+            <div>
+              <h3>Page changes</h3>
+              \${Object.entries(pageCounts).map(([change, count]) => \`<div class="change-row">\${this.escape(change)}: \${count}</div>\`).join('') || '<div class="change-row">None</div>'}
+              \${diff.pages.filter(p => p.change === 'started-failing' || p.change === 'new-errors').slice(0, 20).map(p => \`
+                <div class="change-row"><span class="badge red">\${this.escape(p.change)}</span> <a href="#" onclick="app.jumpToPage(this.textContent); return false;">\${this.escape(p.url)}</a></div>
+              \`).join('')}
+            </div>
+          </div>
+        \`;
+      },
+
+      renderPages(reset = false) {
+        if (reset) {
+           this.state.pageOffset = 0;
+           document.getElementById('pages-list').innerHTML = '';
+           this.filterPages();
+        }
+
+        const container = document.getElementById('pages-list');
+        const slice = this.state.filteredPages.slice(this.state.pageOffset, this.state.pageOffset + this.state.pageLimit);
+        
+        const html = slice.map((p, idx) => {
+          const uid = this.state.pageOffset + idx;
+          const badge = p.status === 'failed' ? '<span class="badge red">FAILED</span>' :
+                        p.status === 'error' ? \`<span class="badge red">\${p.errorCount} Errors</span>\` :
+                        '<span class="badge green">CLEAN</span>';
+          
+          let phaseContent = '';
+          if (p.phases) {
+            const sub = p.submission || {};
+            const outcome = !sub.formFound ? 'No form found' :
+                            !sub.navigated ? (sub.blockedByValidation ? 'Submitted, blocked by validation' : 'Submitted, stayed on page (no validation messages)') :
+                            sub.reachedConfirmation ? 'Reached confirmation page' : 'Navigated, not a confirmation page';
+            phaseContent = \`
+              <div class="err-loc" style="margin-bottom:8px;">
+                📝 Form submit: \${outcome}\${sub.error ? ' (' + this.escape(sub.error) + ')' : ''}
+                \${p.phases.map(ph => \`<div>\${ph.name}: \${this.escape(ph.url)} (\${ph.errorCount} errors)</div>\`).join('')}
+              </div>
+            \`;
+          }
+
+          let redirectContent = '';
+          if (p.redirectChain.length > 0) {
+            redirectContent = \`
+              <div class="err-loc" style="margin-bottom:8px;">
+                ↪️ Redirect chain:
+                \${p.redirectChain.map(r => \`<div>\${r.status || ''} \${this.escape(r.url)}</div>\`).join('')}
+                <div>\${p.httpStatus || ''} \${this.escape(p.finalUrl)} (final)</div>
+              </div>
+            \`;
+          }
+
+          const hideThirdParty = document.getElementById('hide-third-party-pages').checked;
+          const errorRows = p.errors.filter(e => !hideThirdParty || this.partyBySig[e.s] !== 'third').map(e => \`
+              <div class="error-row">
+                <div class="err-msg">\${e.ph ? \`<span class="badge blue">\${this.escape(e.ph)}</span> \` : ''}\${['validation', 'assertion', 'network', 'csp', 'unhandledrejection'].includes(e.type) ? \`<span class="badge red">\${e.type}</span> \` : ''}\${this.escape(e.t)}</div>
+                <div class="err-loc">\${e.l ? '📍 ' + this.escape(e.l) : ''}\${e.i ? ' ← initiated by ' + this.escape(e.i) : ''}</div>
+                \${e.rl ? \`<div class="err-loc">🗺️ \${this.escape(e.rl)}</div>\` : ''}
+                \${e.rs ? \`<pre class="err-stack">\${this.escape(e.rs)}</pre>\` : ''}
+              </div>
+            \`).join('');
+
+          let bodyContent = '';
+          if (p.status === 'failed') {
+            bodyContent = \`<div class="error-row"><strong>Failure Reason:</strong> \${this.escape(p.failureReason)}</div>\${errorRows}\`;
+          } else if (p.status === 'error') {
+            bodyContent = errorRows;
+          } else {
+             bodyContent = '<div style="color:#aaa; text-align:center; padding:10px;">No errors detected</div>';
+          }
+
+          return \`
+            <div class="card \${p.status}" id="p-card-\${uid}">
+              <div class="card-header" onclick="app.toggleCard('p-card-\${uid}')">
+                <div class="card-title">\${this.escape(p.url)}</div>
+                <div class="badges">\${p.locale ? \`<span class="badge blue">\${this.escape(p.locale)}</span>\` : ''} <span class="badge blue" title="Owning team">👥 \${this.escape(p.owner)}</span> \${p.httpStatus && p.httpStatus !== 200 ? \`<span class="badge \${p.httpStatus >= 400 ? 'red' : 'blue'}">HTTP \${p.httpStatus}</span>\` : ''} \${p.redirectChain.length ? '<span class="badge blue">↪️ redirected</span>' : ''} \${badge} \${p.status!=='success' || p.phases || p.redirectChain.length ?'▼':''}</div>
+              </div>
+              <div class="card-body">\${redirectContent}\${phaseContent}\${bodyContent}</div>
+            </div>
+          \`;
+        }).join('');
+
+        container.insertAdjacentHTML('beforeend', html);
+        
+        this.state.pageOffset += slice.length;
+        
+        const btn = document.getElementById('pages-load-more');
+        btn.style.display = this.state.pageOffset < this.state.filteredPages.length ? 'block' : 'none';
+      },
+
+      renderGroups() {
+        const container = document.getElementById('groups-list');
+        const party = document.getElementById('filter-party').value;
+        const status = document.getElementById('filter-status').value;
+        const team = document.getElementById('filter-group-team').value;
+        const term = document.getElementById('search-groups').value.toLowerCase();
+        // Search runs over the data, before the render limit, so groups ranked below it can still be found
+        const matchesTerm = g => !term || [g.text, g.loc, g.vendor, g.owner, g.cat, g.sig, g.norm, ...g.pages].join(' ').toLowerCase().includes(term);
+        const groups = this.data.groups.filter(g => (party === 'all' || g.party === party) && (status === 'all' || g.st === status) && (team === 'all' || g.owner === team) && matchesTerm(g));
+        const sorters = {
+          'severity': (a, b) => b.sev - a.sev || b.count - a.count,
+          'pages': (a, b) => b.count - a.count,
+          'firstSeen-desc': (a, b) => (b.fs || '').localeCompare(a.fs || ''),
+          'firstSeen-asc': (a, b) => (a.fs || '').localeCompare(b.fs || ''),
+          'lastSeen-desc': (a, b) => (b.ls || '').localeCompare(a.ls || ''),
+          'consecutive-desc': (a, b) => b.cr - a.cr,
+          'total-desc': (a, b) => b.to - a.to
+        };
+        groups.sort(sorters[document.getElementById('sort-groups').value] || sorters.severity);
+        this.state.visibleGroups = groups;
+        const html = groups.slice(0, 200).map((g, idx) => {
+           const excluded = this.isExcluded(g);
+           return \`
+            <div class="card error \${excluded ? 'excluded' : ''}" id="g-card-\${idx}">
+              <div class="card-header" onclick="app.toggleCard('g-card-\${idx}')">
+                <div class="card-title" style="color:#dc2626">\${this.escape(g.text)}</div>
+                <div class="badges">\${g.cat ? \`<span class="badge \${g.sev >= 60 ? 'red' : 'blue'}" title="Category · severity score">\${this.escape(g.cat)} · \${g.sev}</span>\` : ''}<span class="badge \${g.party === 'first' ? 'green' : g.party === 'third' ? 'red' : 'blue'}">\${this.escape(g.vendor)}</span>\${g.ch === 'new' || g.ch === 'regressed' ? \`<span class="badge red">\${g.ch.toUpperCase()}</span>\` : ''}\${this.renderKnownBadge(g)}\${g.rp ? \`<span class="badge \${g.rp.label === 'intermittent' ? 'red' : 'blue'}" title="Reproduced in \${g.rp.hits} of \${g.rp.visits} visits">\${g.rp.label} \${Math.round(g.rp.rate * 100)}%</span>\` : ''}\${g.owner ? \`<span class="badge blue" title="Owning team">👥 \${this.escape(g.owner)}</span>\` : ''}<span class="badge blue" title="Consecutive runs">\${g.cr} run\${g.cr === 1 ? '' : 's'}</span><span class="badge blue">\${g.count} Pages</span>
+                  <button class="exclude-btn \${excluded ? 'excluded' : ''}" onclick="app.toggleExcludeError(\${idx}); event.stopPropagation();">\${excluded ? 'Include Error' : 'Exclude Error'}</button> ▼</div>
+              </div>
+              <div class="card-body">
+                \${g.ki ? \`<div style="margin-bottom:10px; color:#666">Baseline: \${this.escape(g.ki.ticket || 'no ticket')} · owner \${this.escape(g.ki.owner || 'unassigned')} · \${this.escape(g.ki.reason || '')}\${g.ki.expires ? \` · expires \${this.escape(g.ki.expires)}\` : ''}</div>\` : ''}
+                <div style="margin-bottom:10px; font-weight:bold; color:#666">Location: \${this.escape(g.loc)}</div>
+                <div style="margin-bottom:10px; color:#666">Locales: \${this.escape(g.locales.join(', ') || 'unknown')}</div>
+                <div style="margin-bottom:10px; color:#666">
+                  First seen \${g.fs ? new Date(g.fs).toLocaleString() : 'this run'} · last seen \${g.ls ? new Date(g.ls).toLocaleString() : 'this run'} ·
+                  \${g.cr} consecutive run\${g.cr === 1 ? '' : 's'} · \${g.to} total occurrences
+                </div>
+                <div style="margin-bottom:10px; color:#666; font-family:monospace; font-size:0.85rem;">
+                  Fingerprint \${this.escape(g.sig)}: \${this.escape(g.cls)} · \${this.escape(g.norm)}
+                  \${g.frames.map(f => \`<div>&nbsp;&nbsp;at \${this.escape(f)}</div>\`).join('')}
+                </div>
+                \${g.rs ? \`<div style="margin-bottom:10px; color:#666">Original stack:<pre class="err-stack">\${this.escape(g.rs)}</pre></div>\` : ''}
+                <div style="max-height: 200px; overflow-y:auto; background:#f8f8f8; padding:10px;">
+                  \${g.pages.map(u => \`<div><a href="#" onclick="app.jumpToPage('\${u}'); return false;">\${this.escape(u)}</a></div>\`).join('')}
+                </div>
+              </div>
+            </div>
+           \`;
+        }).join('');
+        container.innerHTML = html || '<div style="text-align:center; padding:20px;">No errors found</div>';
+      },
+
+      storageKey() {
+        return 'error-report-exclusions:' + this.data.summary.reportId;
+      },
+
+      loadExclusions() {
+        try {
+          this.exclusions = JSON.parse(localStorage.getItem(this.storageKey()) || '{}');
+        } catch (e) {
+          this.exclusions = {};
+        }
+        document.getElementById('exclude-count').textContent = this.getSuppressionEntries().length;
+      },
+
+      saveExclusions() {
+        try {
+          localStorage.setItem(this.storageKey(), JSON.stringify(this.exclusions));
+        } catch (e) {
+          // Storage can be unavailable (private mode, file:// restrictions); exclusions then last for this session
+        }
+        document.getElementById('exclude-count').textContent = this.getSuppressionEntries().length;
+      },
+
+      // Active baseline entries count as excluded until re-included here
+      isExcluded(g) {
+        if (g.sig in this.exclusions) return this.exclusions[g.sig] !== null;
+        return g.st === 'known';
+      },
+
+      toggleExcludeError(idx) {
+        const g = this.state.visibleGroups[idx];
+        if (this.isExcluded(g)) {
+          if (g.ki) this.exclusions[g.sig] = null;
+          else delete this.exclusions[g.sig];
+        } else if (g.st === 'known') {
+          delete this.exclusions[g.sig];
+        } else {
+          const value = id => document.getElementById(id).value.trim();
+          this.exclusions[g.sig] = {
+            fingerprint: g.sig,
+            owner: value('exclude-owner'),
+            ticket: value('exclude-ticket'),
+            reason: value('exclude-reason') || g.norm || g.text,
+            ...(value('exclude-expires') && { expires: value('exclude-expires') }),
+            text: g.text
+          };
+        }
+        this.saveExclusions();
+        this.renderGroups();
+      },
+
+      // The loaded baseline with this report's exclusions applied, in the format the monitor reads
+      getSuppressionEntries() {
+        const entries = new Map(this.data.baseline.map(issue => [issue.fingerprint, issue]));
+        Object.entries(this.exclusions).forEach(([sig, entry]) => {
+          if (entry) entries.set(sig, entry);
+          else entries.delete(sig);
+        });
+        return Array.from(entries.values());
+      },
+
+      downloadSuppressionFile() {
+        const blob = new Blob([JSON.stringify({ issues: this.getSuppressionEntries() }, null, 2)], { type: 'application/json' });
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(blob);
+        link.download = 'known-issues.json';
+        link.click();
+        setTimeout(() => URL.revokeObjectURL(link.href), 0);
+      },
+
+      renderKnownBadge(g) {
+        if (!g.ki) return '';
+        return g.ki.expired
+          ? \`<span class="badge red">Baseline expired: \${this.escape(g.ki.ticket || '')}</span>\`
+          : \`<span class="badge green">Known: \${this.escape(g.ki.ticket || '')}</span>\`;
+      },
+
+      renderVendors() {
+         document.getElementById('vendors-body').innerHTML = this.data.vendors.map(v => \`
+            <tr>
+              <td><a href="#" onclick="app.jumpToVendor('\${this.escape(v.vendor)}'); return false;">\${this.escape(v.vendor)}</a></td>
+              <td>\${this.escape(v.party)}</td>
+              <td>\${v.groups}</td>
+              <td>\${v.pages}</td>
+            </tr>
+         \`).join('');
+      },
+
+      renderLocs() {
+         const tbody = document.getElementById('locs-body');
+         const html = this.data.groups.map(g => \`
+            <tr>
+              <td>\${this.escape(g.text)}</td>
+              <td>\${this.escape(g.loc)}</td>
+              <td>\${g.count}</td>
+            </tr>
+         \`).join('');
+         tbody.innerHTML = html;
+      },
+
+      renderTeams() {
+         document.getElementById('teams-body').innerHTML = this.data.teams.map((t, idx) => \`
+            <tr>
+              <td><a href="#" onclick="app.jumpToTeam(\${idx}); return false;">\${this.escape(t.team)}</a></td>
+              <td>\${t.pages}</td>
+              <td>\${t.withErrors}</td>
+              <td>\${t.failed}</td>
+              <td>\${t.totalErrors}</td>
+              <td>\${t.errorGroups}</td>
+            </tr>
+         \`).join('');
+      },
+
+      renderLocales() {
+         const tbody = document.getElementById('locales-body');
+         tbody.innerHTML = this.data.locales.map(l => \`
+            <tr>
+              <td><a href="#" onclick="app.jumpToLocale('\${this.escape(l.locale)}'); return false;">\${this.escape(l.locale)}</a></td>
+              <td>\${l.total}</td>
+              <td>\${l.withErrors}</td>
+              <td>\${l.failed}</td>
+              <td>\${l.totalErrors}</td>
+            </tr>
+         \`).join('');
+      },
+
+      renderCsp() {
+        const byDirective = {};
+        this.data.csp.forEach(c => (byDirective[c.directive] = byDirective[c.directive] || []).push(c));
+
+        const html = Object.keys(byDirective).map((directive, idx) => {
+          const rows = byDirective[directive];
+          const pageCount = new Set(rows.flatMap(r => r.pages)).size;
+          return \`
+            <div class="card error" id="csp-card-\${idx}">
+              <div class="card-header" onclick="app.toggleCard('csp-card-\${idx}')">
+                <div class="card-title" style="color:#dc2626">\${this.escape(directive)}</div>
+                <div class="badges"><span class="badge blue">\${rows.length} Hosts</span><span class="badge blue">\${pageCount} Pages</span> ▼</div>
+              </div>
+              <div class="card-body">
+                <table class="data-table">
+                  <thead><tr><th>Blocked Host</th><th>Pages</th><th>Violations</th><th>Sample Blocked URI</th><th>Sample Source</th></tr></thead>
+                  <tbody>
+                    \${rows.map(r => \`
+                      <tr>
+                        <td>\${this.escape(r.blockedHost)}</td>
+                        <td>\${r.pages.length}</td>
+                        <td>\${r.violations}</td>
+                        <td>\${this.escape(r.sampleBlockedUri)}</td>
+                        <td>\${this.escape(r.sampleSourceFile)}</td>
+                      </tr>
+                    \`).join('')}
+                  </tbody>
+                </table>
+              </div>
+            </div>
+          \`;
+        }).join('');
+        document.getElementById('csp-list').innerHTML = html || '<div style="text-align:center; padding:20px;">No CSP violations found</div>';
+      },
+
+      filterPages() {
+        const search = document.getElementById('search-pages').value.toLowerCase();
+        const type = document.getElementById('filter-pages').value;
+        const locale = document.getElementById('filter-locale').value;
+        const team = document.getElementById('filter-team').value;
+        const hideThirdParty = document.getElementById('hide-third-party-pages').checked;
+        
+        this.state.filteredPages = this.data.pages.filter(p => {
+          // A page whose only errors are third-party noise is hidden entirely
+          if (hideThirdParty && p.status === 'error' && p.errors.every(e => this.partyBySig[e.s] === 'third')) return false;
+          if (locale !== 'all' && p.locale !== locale) return false;
+          if (team !== 'all' && p.owner !== team) return false;
+          if (type === 'error' && p.status !== 'error') return false;
+          if (type === 'validation' && !p.errors.some(e => e.type === 'validation')) return false;
+          if (type === 'assertion' && !p.errors.some(e => e.type === 'assertion')) return false;
+          if (type === 'network' && !p.errors.some(e => e.type === 'network')) return false;
+          if (type === 'csp' && !p.errors.some(e => e.type === 'csp')) return false;
+          if (type === 'failed' && p.status !== 'failed') return false;
+          if (type === 'redirected' && p.redirectChain.length === 0) return false;
+          if (type === 'success' && p.status !== 'success') return false;
+          
+          if (!search) return true;
+          const urlMatch = p.url.toLowerCase().includes(search);
+          const errMatch = p.errors && p.errors.some(e => e.t.toLowerCase().includes(search));
+          return urlMatch || errMatch;
+        });
+      },
+
+      switchTab(tabName) {
+        ['pages', 'errors', 'locs', 'locales', 'csp', 'vendors', 'teams'].forEach(t => {
+          document.getElementById('tab-btn-' + t).classList.remove('active');
+          document.getElementById('view-' + t).classList.remove('active');
+        });
+        document.getElementById('tab-btn-' + tabName).classList.add('active');
+        document.getElementById('view-' + tabName).classList.add('active');
+      },
+
+      toggleCard(id) {
+        document.getElementById(id).classList.toggle('expanded');
+      },
+
+      toggleAll(containerId, expand) {
+        const cards = document.getElementById(containerId).querySelectorAll('.card');
+        cards.forEach(c => expand ? c.classList.add('expanded') : c.classList.remove('expanded'));
+      },
+
+      jumpToPage(url) {
+        this.switchTab('pages');
+        document.getElementById('search-pages').value = url;
+        this.filterPages();
+        this.renderPages(true);
+      },
+
+      jumpToChangedGroup(idx) {
+        this.switchTab('errors');
+        document.getElementById('filter-party').value = 'all';
+        document.getElementById('filter-group-team').value = 'all';
+        document.getElementById('filter-status').value = 'all';
+        document.getElementById('search-groups').value = this.state.changedGroups[idx].errorText;
+        this.renderGroups();
+      },
+
+      jumpToVendor(vendor) {
+        this.switchTab('errors');
+        document.getElementById('filter-party').value = 'all';
+        document.getElementById('filter-group-team').value = 'all';
+        document.getElementById('search-groups').value = vendor;
+        this.renderGroups();
+      },
+
+      jumpToTeam(idx) {
+        this.switchTab('errors');
+        document.getElementById('filter-group-team').value = this.data.teams[idx].team;
+        this.renderGroups();
+      },
+
+      jumpToLocale(locale) {
+        this.switchTab('pages');
+        document.getElementById('filter-locale').value = locale;
+        this.renderPages(true);
+      },
+
+      debounceSearch() {
+        clearTimeout(this._timer);
+        this._timer = setTimeout(() => this.renderPages(true), 300);
+      },
+
+      debounceSearchGroups() {
+        clearTimeout(this._groupTimer);
+        this._groupTimer = setTimeout(() => this.renderGroups(), 300);
+      },
+
+      escape(str) {
+        if (!str) return '';
+        return str.replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;").replace(/"/g, "&quot;").replace(/'/g, "&#039;");
+      }
+    };
+
+    app.init();
+  </script>
+</body>
+</html>
+    `;
+    
+    return html;
+  }
+
+  async generateJsonReport(timestamp = new Date().toISOString()) {
+    const report = {
+      timestamp,
+      summary: {
+        totalPagesScanned: this.processedUrls.size,
+        pagesWithErrors: Array.from(this.pageErrors.values()).filter(p => p.errorCount > 0).length,
+        pagesWithValidationFailures: Array.from(this.pageErrors.values()).filter(p => p.errors.some(e => e.type === 'validation')).length,
+        pagesWithAssertionFailures: Array.from(this.pageErrors.values()).filter(p => p.errors.some(e => e.type === 'assertion')).length,
+        pagesWithNetworkFailures: Array.from(this.pageErrors.values()).filter(p => p.errors.some(e => e.type === 'network')).length,
+        pagesWithCspViolations: Array.from(this.pageErrors.values()).filter(p => p.errors.some(e => e.type === 'csp')).length,
+        redirectedPages: Array.from(this.pageErrors.values()).filter(p => p.redirectChain && p.redirectChain.length > 0).length,
+        totalErrors: Array.from(this.pageErrors.values()).reduce((sum, p) => sum + p.errorCount, 0),
+        failedPages: Array.from(this.pageErrors.values()).filter(p => !p.success).length,
+        uniqueErrors: this.errorGroups.size,
+        knownErrors: Array.from(this.errorGroups.values()).filter(g => g.status === 'known').length,
+        intermittentErrors: Array.from(this.errorGroups.values()).filter(g => g.reproducibility?.label === 'intermittent').length
+      },
+      locales: this.getLocaleSummary(),
+      teams: this.getTeamSummary(),
+      csp: this.getCspSummary(),
+      vendors: this.getVendorSummary(),
+      diff: this.diff,
+      urlIssues: this.urlIssues.map(({ type, url, path, sheet, detail }) => ({ type, url, path, sheet, detail })),
+      errorGroups: Array.from(this.errorGroups.entries())
+        .sort(([, a], [, b]) => (b.severity || 0) - (a.severity || 0))
+        .map(([signature, group]) => ({
+          signature,
+          errorText: group.errorText,
+          errorLocation: group.errorLocation,
+          errorClass: group.errorClass,
+          normalizedText: group.normalizedText,
+          frames: group.frames,
+          vendor: group.vendor,
+          party: group.party,
+          origin: group.origin,
+          change: group.change || null,
+          status: group.status,
+          knownIssue: group.knownIssue,
+          firstSeen: group.firstSeen || null,
+          lastSeen: group.lastSeen || null,
+          consecutiveRuns: group.consecutiveRuns || 1,
+          occurrences: group.occurrences || 0,
+          totalOccurrences: group.totalOccurrences || group.occurrences || 0,
+          reproducibility: group.reproducibility || null,
+          category: group.category || null,
+          severity: group.severity || 0,
+          owner: group.owner || this.ownership.defaultTeam,
+          ownerSource: group.ownerSource || 'default',
+          locales: Array.from(group.locales).sort(),
+          affectedPagesCount: group.pages.size,
+          affectedPages: Array.from(group.pages),
+          sampleError: group.sampleError
+        })),
+      pages: Array.from(this.pageErrors.entries()).map(([url, pageData]) => ({
+        url,
+        locale: pageData.locale || null,
+        owner: this.getPageOwner(url),
+        success: pageData.success,
+        errorCount: pageData.errorCount,
+        uniqueErrorCount: new Set(pageData.errors.map(e => this.getErrorSignature(e))).size,
+        scannedAt: pageData.scannedAt,
+        failureReason: pageData.failureReason || null,
+        httpStatus: pageData.httpStatus || null,
+        finalUrl: pageData.finalUrl || url,
+        redirectChain: pageData.redirectChain || [],
+        mode: pageData.mode || 'load',
+        submission: pageData.submission || null,
+        phases: pageData.phases || null,
+        visits: (this.visitSignatures.get(url) || []).length,
+        errors: pageData.errors
+      }))
+    };
+    
+    return JSON.stringify(report, null, 2);
+  }
+
+  resetState() {
+    this.pageErrors.clear();
+    this.processedUrls.clear();
+    this.errorGroups.clear();
+    this.urlLocales.clear();
+    this.urlIssues = [];
+    this.urlAssertions.clear();
+    this.visitSignatures.clear();
+    this.diff = null;
+  }
+
+  // Rebuilds the state of an earlier run from its JSON report so it can be rendered or diffed again.
+  // Groups are recomputed from the page errors with the current fingerprints (old schemas included);
+  // what only that run knew, such as history stats and baseline status, is taken from its stored groups.
+  async loadReport(reportPath) {
+    const report = JSON.parse(await fs.readFile(reportPath, 'utf-8'));
+
+    this.resetState();
+    await this.loadVendorMap();
+    await this.loadBaseline();
+    await this.loadOwnership();
+
+    for (const page of report.pages || report.urlErrors || []) {
+      const errors = (page.errors || []).filter(error => {
+        if (!this.isRecordedError(error)) return false;
+        try {
+          this.getErrorSignature(error);
+          return true;
+        } catch (e) {
+          return false;
+        }
+      });
+      const locale = page.locale || null;
+      this.processedUrls.add(page.url);
+      if (locale) this.urlLocales.set(page.url, locale);
+      this.pageErrors.set(page.url, { ...page, locale, success: page.success !== false, errors, errorCount: errors.length });
+      this.addToGroups(page.url, locale, errors);
+    }
+    this.applyOwnership();
+    this.applySeverity();
+
+    const stored = new Map((report.errorGroups || []).map(group => [group.signature, group]));
+    const carried = ['change', 'status', 'knownIssue', 'firstSeen', 'lastSeen', 'consecutiveRuns', 'totalOccurrences',
+      'reproducibility', 'category', 'severity', 'owner', 'ownerSource'];
+    for (const [signature, group] of this.errorGroups.entries()) {
+      const previous = stored.get(signature);
+      if (!previous) continue;
+      carried.filter(key => previous[key] != null).forEach(key => { group[key] = previous[key]; });
+    }
+
+    this.urlIssues = report.urlIssues || [];
+    this.diff = report.diff || null;
+    return report;
+  }
+
+  // Problems that would make a run fail or quietly scan nothing; checked before a scan and by `cli.js validate-config`
+  async validateConfig() {
+    const { config } = this;
+    const problems = [];
+
+    config.baseUrls.forEach(url => {
+      try {
+        if (!/^https?:$/.test(new URL(url).protocol)) problems.push(`baseUrls: "${url}" is not an http(s) URL`);
+      } catch (error) {
+        problems.push(`baseUrls: "${url}" is not a valid URL`);
+      }
+    });
+    ['maxConcurrent', 'timeout', 'retryLimit', 'repeatVisits', 'browserRotationLimit'].forEach(key => {
+      if (!Number.isInteger(config[key]) || config[key] < 1) problems.push(`${key}: expected a positive integer, got ${JSON.stringify(config[key])}`);
+    });
+    if (typeof config.settleTime !== 'number' || config.settleTime < 0) {
+      problems.push(`settleTime: expected a number of milliseconds, got ${JSON.stringify(config.settleTime)}`);
+    }
+    if (!['load', 'domcontentloaded', 'networkidle0', 'networkidle2'].includes(config.waitUntil)) {
+      problems.push(`waitUntil: "${config.waitUntil}" is not one of load, domcontentloaded, networkidle0, networkidle2`);
+    }
+    if (!['full', 'compact'].includes(config.reportFlavor)) {
+      problems.push(`reportFlavor: "${config.reportFlavor}" is not one of full, compact`);
+    }
+    if (!cron.validate(config.schedule)) problems.push(`schedule: "${config.schedule}" is not a valid cron expression`);
+
+    if (config.urls.length === 0) {
+      try {
+        await fs.access(config.workbookPath);
+        const sheetNames = XLSX.readFile(config.workbookPath, { bookSheets: true }).SheetNames;
+        const known = new Set(sheetNames.flatMap(name => [name.toLowerCase(), this.getLocaleFromSheetName(name)]));
+        config.sheets.map(s => String(s).toLowerCase()).filter(s => !known.has(s))
+          .forEach(s => problems.push(`sheets: "${s}" is not in ${config.workbookPath}`));
+      } catch (error) {
+        problems.push(`workbookPath: cannot read ${config.workbookPath} (${error.code || error.message})`);
+      }
+    }
+
+    // Side files are optional, but a broken one would be ignored with only a log line
+    for (const key of ['assertionsPath', 'vendorMapPath', 'baselinePath', 'ownersPath']) {
+      try {
+        JSON.parse(await fs.readFile(config[key], 'utf-8'));
+      } catch (error) {
+        if (error.code !== 'ENOENT') problems.push(`${key}: ${config[key]} is not valid JSON (${error.message})`);
+      }
+    }
+
+    return problems;
+  }
+
+  async run() {
+    this.logger.log(`Starting error monitoring run at ${new Date().toISOString()}`);
+    
+    this.resetState();
+    
+    const urls = await this.generateUrls();
+    await this.loadAssertionRules();
+    await this.loadVendorMap();
+    await this.loadBaseline();
+    await this.loadOwnership();
+    urls.forEach(url => this.processedUrls.add(url));
+    
+    const results = await this.processUrls(urls);
+    for (let visit = 2; visit <= this.config.repeatVisits; visit++) {
+      const revisit = this.config.repeatOnlyErrorPages
+        ? urls.filter(url => this.pageErrors.get(url)?.errorCount > 0)
+        : urls;
+      this.logger.log(`Repeat visit ${visit}/${this.config.repeatVisits}: ${revisit.length} URL(s)`);
+      await this.processUrls(revisit, visit);
+    }
+    this.applyReproducibility();
+    this.applyOwnership();
+    this.applySeverity();
+    await this.resolveSourceMaps();
+    this.diff = this.computeDiff(await this.loadPreviousRun());
+    await this.applyGroupHistory();
+    
+    await fs.mkdir(this.config.outputDir, { recursive: true });
+    
+    // One timestamp for both reports: the HTML keys saved exclusions by it, and `cli.js report` re-renders
+    // from the JSON's, so they have to agree
+    const runAt = new Date().toISOString();
+    const timestamp = runAt.replace(/[:.]/g, '-');
+    
+    const htmlReport = await this.generateHtmlReport(runAt);
+    const htmlPath = path.join(this.config.outputDir, `error-report-${timestamp}.html`);
+    await fs.writeFile(htmlPath, htmlReport);
+    
+    const latestHtmlPath = path.join(this.config.outputDir, 'latest-report.html');
+    await fs.writeFile(latestHtmlPath, htmlReport);
+    
+    const jsonReport = await this.generateJsonReport(runAt);
+    const jsonPath = path.join(this.config.outputDir, `error-report-${timestamp}.json`);
+    await fs.writeFile(jsonPath, jsonReport);
+    const report = JSON.parse(jsonReport);
+    const teamPaths = await this.writeTeamReports(report, timestamp);
+    await this.history.append(this.buildHistoryRecord(report, path.basename(htmlPath)));
+    const trendsPath = await this.writeTrendsReport();
+    
+    this.logger.log(`Reports generated:`);
+    this.logger.log(`  HTML: ${htmlPath}`);
+    this.logger.log(`  JSON: ${jsonPath}`);
+    this.logger.log(`  Latest: ${latestHtmlPath}`);
+    this.logger.log(`  Trends: ${trendsPath}`);
+    this.logger.log(`  Team slices: ${teamPaths.length} in ${path.join(this.config.outputDir, 'teams')}`);
+    
+    const pagesWithErrors = Array.from(this.pageErrors.values()).filter(p => p.errorCount > 0).length;
+    const totalErrors = Array.from(this.pageErrors.values()).reduce((sum, p) => sum + p.errorCount, 0);
+    const uniqueErrors = this.errorGroups.size;
+    const knownErrors = Array.from(this.errorGroups.values()).filter(g => g.status === 'known').length;
+    
+    this.logger.log(`\nSummary:`);
+    this.logger.log(`  - Pages scanned: ${this.processedUrls.size}`);
+    this.logger.log(`  - Pages with errors: ${pagesWithErrors}`);
+    this.logger.log(`  - Total errors: ${totalErrors}`);
+    this.logger.log(`  - Unique errors: ${uniqueErrors} (${uniqueErrors - knownErrors} new, ${knownErrors} known)`);
+    if (this.diff) {
+      const { newGroups, regressedGroups, resolvedGroups, changedPages } = this.diff.summary;
+      this.logger.log(`  - Since ${this.diff.previousReport}: ${newGroups} new, ${regressedGroups} regressed, ${resolvedGroups} resolved, ${changedPages} page(s) changed`);
+    }
+    
+    return {
+      htmlPath,
+      jsonPath,
+      summary: {
+        pagesScanned: this.processedUrls.size,
+        pagesWithErrors,
+        totalErrors,
+        uniqueErrors,
+        knownErrors
+      },
+      diff: this.diff ? this.diff.summary : null
+    };
+  }
+
+  scheduleRuns() {
+    cron.schedule(this.config.schedule, () => this.run().catch(error => this.logger.error(error)));
+    this.logger.log(`Monitoring scheduled (${this.config.schedule})`);
+    this.logger.log('Monitor is running. Press Ctrl+C to stop.');
+  }
+
+  // A subclass whose constructor defaults come from a preset; config passed at construction still wins
+  static withPreset(preset) {
+    return class extends this {
+      constructor(config = {}) {
+        super({ ...preset, ...config });
+      }
+    };
+  }
+
+  // Entry point shared by the preset scripts: run now and on the schedule, or
+  // `node <script> import-history [dir]` to backfill the history store and exit.
+  // MONITOR_CONFIG / MONITOR_PROFILE select a config file (see config-file.js) that overrides the preset.
+  static main(config = {}) {
+    let monitor;
+    try {
+      const file = process.env.MONITOR_CONFIG || (process.env.MONITOR_PROFILE ? DEFAULT_CONFIG_FILE : null);
+      monitor = new this({ ...(file ? loadConfigFile(file, process.env.MONITOR_PROFILE).config : {}), ...config });
+    } catch (error) {
+      if (!(error instanceof ConfigError)) throw error;
+      console.error(error.message);
+      process.exit(2);
+    }
+    const task = process.argv[2] === 'import-history'
+      ? monitor.importHistory(process.argv[3])
+      : monitor.run().then(() => monitor.scheduleRuns());
+    return task.catch(error => {
+      console.error('Failed:', error);
+      process.exit(1);
+    });
+  }
+}
+
+module.exports = ConsoleErrorMonitor;
\ No newline at end of file
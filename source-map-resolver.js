@@ -0,0 +1,111 @@
+const fs = require('fs').promises;
+const path = require('path');
+const { SourceMapConsumer } = require('source-map');
+const ErrorFingerprinter = require('./error-fingerprint');
+
+// Maps minified stack frames and console locations back to original file, line and function name.
+// Maps come from a local directory (<dir>/<script file name>.map) or are fetched through the script's
+// //# sourceMappingURL comment / SourceMap header. Every script is looked up once per run; misses are cached too.
+class SourceMapResolver {
+  constructor(options = {}) {
+    this.dir = options.dir || null;
+    this.fetch = options.fetch !== false;
+    this.timeout = options.timeout || 10000;
+    this.consumers = new Map();
+  }
+
+  async loadLocalMap(scriptUrl) {
+    if (!this.dir) return null;
+    const fileName = path.basename(new URL(scriptUrl).pathname);
+    try {
+      return JSON.parse(await fs.readFile(path.join(this.dir, `${fileName}.map`), 'utf-8'));
+    } catch (error) {
+      return null;
+    }
+  }
+
+  async fetchText(url) {
+    const response = await fetch(url, { signal: AbortSignal.timeout(this.timeout) });
+    if (!response.ok) throw new Error(`HTTP ${response.status} for ${url}`);
+    return { text: await response.text(), headers: response.headers };
+  }
+
+  async fetchRemoteMap(scriptUrl) {
+    if (!this.fetch) return null;
+
+    const { text, headers } = await this.fetchText(scriptUrl);
+    const comments = [...text.matchAll(/\/\/[#@]\s*sourceMappingURL=(\S+)\s*$/gm)];
+    const mapRef = headers.get('sourcemap') || headers.get('x-sourcemap') || (comments.length ? comments[comments.length - 1][1] : null);
+    if (!mapRef) return null;
+
+    if (mapRef.startsWith('data:')) {
+      const [meta, data] = mapRef.split(',', 2);
+      return JSON.parse(meta.includes(';base64') ? Buffer.from(data, 'base64').toString('utf-8') : decodeURIComponent(data));
+    }
+
+    return JSON.parse((await this.fetchText(new URL(mapRef, scriptUrl).href)).text);
+  }
+
+  async getConsumer(scriptUrl) {
+    const key = scriptUrl.split('#')[0];
+    if (!this.consumers.has(key)) {
+      const load = async () => {
+        try {
+          const map = await this.loadLocalMap(key) || await this.fetchRemoteMap(key);
+          return map ? new SourceMapConsumer(map) : null;
+        } catch (error) {
+          console.warn(`Source map unavailable for ${key}: ${error.message}`);
+          return null;
+        }
+      };
+      this.consumers.set(key, load());
+    }
+    return this.consumers.get(key);
+  }
+
+  // line is one-based, column zero-based (the source-map library's convention)
+  async resolvePosition(scriptUrl, line, column) {
+    const consumer = await this.getConsumer(scriptUrl);
+    if (!consumer) return null;
+    const original = consumer.originalPositionFor({ line, column });
+    return original.source ? original : null;
+  }
+
+  async resolveStack(stack) {
+    const frames = ErrorFingerprinter.parseStack(stack);
+    if (frames.length === 0) return null;
+
+    const resolved = await Promise.all(frames.map(async frame => ({
+      ...frame,
+      original: await this.resolvePosition(frame.url, frame.line, frame.column - 1)
+    })));
+    if (!resolved.some(frame => frame.original)) return null;
+
+    return resolved.map(frame => frame.original
+      ? `at ${frame.original.name || frame.fn} (${frame.original.source}:${frame.original.line}:${frame.original.column + 1})`
+      : `at ${frame.fn} (${frame.url}:${frame.line}:${frame.column})`
+    ).join('\n');
+  }
+
+  // Console locations use zero-based line and column numbers
+  async resolveLocation(location) {
+    if (!location || !/^https?:/.test(location.url || '') || location.lineNumber == null) return null;
+    const original = await this.resolvePosition(location.url, location.lineNumber + 1, location.columnNumber || 0);
+    return original ? { source: original.source, line: original.line, column: original.column + 1, name: original.name } : null;
+  }
+
+  // Adds resolvedStack / resolvedLocation to an error in place
+  async resolveError(error) {
+    if (error.stack && !error.resolvedStack) {
+      const resolvedStack = await this.resolveStack(error.stack);
+      if (resolvedStack) error.resolvedStack = resolvedStack;
+    }
+    if (error.location?.url && !error.resolvedLocation) {
+      const resolvedLocation = await this.resolveLocation(error.location);
+      if (resolvedLocation) error.resolvedLocation = resolvedLocation;
+    }
+    return error;
+  }
+}
+
+module.exports = SourceMapResolver;
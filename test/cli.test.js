@@ -0,0 +1,92 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { spawnSync } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const ConsoleErrorMonitor = require('../monitor');
+
+const CLI = path.join(__dirname, '..', 'cli.js');
+const silent = { log() {}, warn() {}, error() {} };
+
+function cli(...args) {
+  return spawnSync(process.execPath, [CLI, ...args], { cwd: path.join(__dirname, '..'), encoding: 'utf-8', timeout: 60000 });
+}
+
+function tempDir() {
+  return fs.mkdtempSync(path.join(os.tmpdir(), 'cli-'));
+}
+
+const reportId = html => html.match(/"reportId":"([^"]+)"/)[1];
+
+const page = (url, errors) => ({ url, locale: 'da_dk', success: true, errorCount: errors.length, errors });
+const typeError = { type: 'pageerror', text: 'TypeError: Cannot read properties of undefined' };
+const referenceError = { type: 'error', text: 'Uncaught ReferenceError: coveoua is not defined' };
+const older = { timestamp: '2025-11-12T08:00:00.000Z', pages: [page('https://www.salesforce.com/dk/', [typeError])] };
+const newer = { timestamp: '2025-11-25T08:00:00.000Z', pages: [page('https://www.salesforce.com/dk/', [typeError, referenceError])] };
+
+function writeReports(dir) {
+  const olderPath = path.join(dir, 'older.json');
+  const newerPath = path.join(dir, 'newer.json');
+  fs.writeFileSync(olderPath, JSON.stringify(older));
+  fs.writeFileSync(newerPath, JSON.stringify(newer));
+  return { olderPath, newerPath };
+}
+
+test('a run writes its HTML and JSON reports with the same timestamp, which report keeps', async () => {
+  const dir = tempDir();
+  const monitor = new ConsoleErrorMonitor({ urls: ['https://www.salesforce.com/dk/'], outputDir: dir, logger: silent });
+  // No browser here: the crawl itself is skipped
+  monitor.processUrls = async () => [];
+  const { jsonPath, htmlPath } = await monitor.run();
+
+  const { timestamp } = JSON.parse(fs.readFileSync(jsonPath, 'utf-8'));
+  assert.strictEqual(reportId(fs.readFileSync(htmlPath, 'utf-8')), timestamp);
+  assert.strictEqual(path.basename(jsonPath), `error-report-${timestamp.replace(/[:.]/g, '-')}.json`);
+
+  const outPath = path.join(dir, 'rerendered.html');
+  const result = cli('report', jsonPath, '--out', outPath);
+  assert.strictEqual(result.status, 0, result.stderr);
+  assert.strictEqual(reportId(fs.readFileSync(outPath, 'utf-8')), timestamp);
+});
+
+test('report writes the HTML next to the JSON by default', () => {
+  const { newerPath } = writeReports(tempDir());
+  const result = cli('report', newerPath);
+  assert.strictEqual(result.status, 0, result.stderr);
+  assert.match(result.stdout, /HTML: .*newer\.html/);
+  assert.strictEqual(reportId(fs.readFileSync(newerPath.replace(/\.json$/, '.html'), 'utf-8')), newer.timestamp);
+});
+
+test('diff lists new groups and --fail-on new exits 3', () => {
+  const { olderPath, newerPath } = writeReports(tempDir());
+  const result = cli('diff', olderPath, newerPath);
+  assert.strictEqual(result.status, 0, result.stderr);
+  assert.match(result.stdout, /1 new, 0 regressed, 1 still present, 0 resolved, 1 page\(s\) changed/);
+  assert.match(result.stdout, /\+ \w+ Uncaught ReferenceError: coveoua is not defined \(1 page\(s\)\)/);
+
+  assert.strictEqual(cli('diff', olderPath, newerPath, '--fail-on', 'new').status, 3);
+  assert.strictEqual(cli('diff', newerPath, olderPath, '--fail-on', 'new').status, 0);
+});
+
+test('diff --json keeps stdout for the JSON', () => {
+  const { olderPath, newerPath } = writeReports(tempDir());
+  const result = cli('diff', olderPath, newerPath, '--json');
+  assert.strictEqual(result.status, 0, result.stderr);
+  const diff = JSON.parse(result.stdout);
+  assert.strictEqual(diff.summary.newGroups, 1);
+  assert.match(result.stderr, /Loaded \d+ vendor\(s\)/);
+});
+
+test('report and diff reject files that are not monitor reports', () => {
+  const dir = tempDir();
+  const { newerPath } = writeReports(dir);
+  const other = path.join(dir, 'package.json');
+  fs.writeFileSync(other, JSON.stringify({ name: 'not-a-report' }));
+
+  for (const args of [['report', other], ['diff', other, newerPath], ['diff', newerPath, other], ['diff', newerPath, path.join(dir, 'missing.json')], ['report']]) {
+    const result = cli(...args);
+    assert.strictEqual(result.status, 2, args.join(' '));
+  }
+  assert.match(cli('report', other).stderr, /is not a monitor report/);
+});
@@ -0,0 +1,86 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { loadConfigFile, mergeConfig, configSchema, ConfigError } = require('../config-file');
+
+function writeConfig(name, content) {
+  const filePath = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'config-')), name);
+  fs.writeFileSync(filePath, content);
+  return filePath;
+}
+
+test('string patterns become RegExps and { source, flags } keeps its flags', () => {
+  const { documentRules, consoleFilters, consoleKeepPatterns } = configSchema.parse({
+    documentRules: { errorPagePattern: { source: '/(404|error)$', flags: 'i' }, allowedRedirectPattern: null },
+    consoleFilters: ['net::ERR_FAILED', /ERR_ABORTED/],
+    consoleKeepPatterns: [{ source: 'cross-origin request blocked', flags: 'i' }]
+  });
+  assert.ok(documentRules.errorPagePattern.test('/content/ERROR'));
+  assert.strictEqual(documentRules.allowedRedirectPattern, null);
+  assert.deepStrictEqual(consoleFilters.map(filter => filter.source), ['net::ERR_FAILED', 'ERR_ABORTED']);
+  assert.ok(consoleKeepPatterns[0].test('Cross-Origin Request Blocked: The Same Origin Policy'));
+});
+
+test('fingerprint rule patterns stay strings so their flags are applied later', () => {
+  const { fingerprintRules } = configSchema.parse({ fingerprintRules: [{ pattern: 'sid=\\w+', flags: 'i', replacement: 'sid=[ID]' }] });
+  assert.deepStrictEqual(fingerprintRules, [{ pattern: 'sid=\\w+', flags: 'i', replacement: 'sid=[ID]' }]);
+  assert.strictEqual(configSchema.safeParse({ fingerprintRules: [{ pattern: 'a', flags: 'q' }] }).success, false);
+});
+
+test('invalid values are rejected', () => {
+  for (const config of [
+    { consoleFilters: ['('] },
+    { assertions: [{ match: '[' }] },
+    { blockResources: { types: ['pictures'] } },
+    { waitUntil: 'idle' },
+    { schedule: 'every hour' },
+    { baseUrls: ['ftp://example.com'] },
+    { unknownKey: true }
+  ]) {
+    assert.strictEqual(configSchema.safeParse(config).success, false, JSON.stringify(config));
+  }
+});
+
+test('a profile is merged over the top-level keys', () => {
+  const file = writeConfig('monitor.yaml', [
+    'settleTime: 1000',
+    'blockResources: { types: [image], extensions: [.pdf] }',
+    'defaultProfile: qa',
+    'profiles:',
+    '  qa: { baseUrls: [\'https://qa.example.com\'] }',
+    '  prod: { blockResources: { types: [font] }, outputDir: ./reports/prod }'
+  ].join('\n'));
+
+  assert.strictEqual(loadConfigFile(file).profile, 'qa');
+  const { config, profile } = loadConfigFile(file, 'prod');
+  assert.strictEqual(profile, 'prod');
+  assert.deepStrictEqual(config, { settleTime: 1000, blockResources: { types: ['font'], extensions: ['.pdf'] }, outputDir: './reports/prod' });
+  assert.throws(() => loadConfigFile(file, 'staging'), /Unknown profile "staging"/);
+});
+
+test('problems name the key and the reason', () => {
+  const file = writeConfig('monitor.json', JSON.stringify({ timeout: -1, blockResources: { types: ['pictures'] } }));
+  assert.throws(() => loadConfigFile(file), error => {
+    assert.ok(error instanceof ConfigError);
+    assert.strictEqual(error.problems.length, 2);
+    assert.match(error.problems[0], /^timeout: /);
+    assert.match(error.problems[1], /^blockResources\.types\.0: /);
+    return true;
+  });
+});
+
+test('mergeConfig replaces arrays and merges nested objects', () => {
+  assert.deepStrictEqual(
+    mergeConfig({ sheets: ['a'], sourceMaps: { fetch: true, timeout: 10 } }, { sheets: ['b'], sourceMaps: { timeout: 20 } }),
+    { sheets: ['b'], sourceMaps: { fetch: true, timeout: 20 } }
+  );
+});
+
+test('the shipped monitor.config.yaml only sets per-environment keys', () => {
+  const file = path.join(__dirname, '..', 'monitor.config.yaml');
+  assert.deepStrictEqual(loadConfigFile(file), { config: {}, profile: null });
+  assert.deepStrictEqual(Object.keys(loadConfigFile(file, 'prod').config).sort(), ['baseUrls', 'outputDir', 'workbookPath']);
+  assert.deepStrictEqual(Object.keys(loadConfigFile(file, 'qa1').config).sort(), ['baseUrls', 'workbookPath']);
+});
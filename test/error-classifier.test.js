@@ -0,0 +1,64 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const ErrorClassifier = require('../error-classifier');
+const ErrorFingerprinter = require('../error-fingerprint');
+
+const classifier = new ErrorClassifier();
+const fingerprinter = new ErrorFingerprinter();
+
+// Findings as the monitor records them: console messages carry msg.type(), the rest their finding type.
+// The error class comes from the fingerprinter, as in ConsoleErrorMonitor.addToGroups().
+const classify = (error, party, rules = classifier) => rules.classify(error, fingerprinter.getErrorClass(error), party);
+
+const findings = {
+  consoleReferenceError: { type: 'error', text: 'Uncaught ReferenceError: coveoua is not defined', location: { url: 'https://www.salesforce.com/dk/' } },
+  pageTypeError: { type: 'pageerror', text: "TypeError: Cannot read properties of undefined (reading 'init')", stack: "TypeError: Cannot read properties of undefined (reading 'init')\n    at https://static.cloud.coveo.com/ua.js:1:5" },
+  hookTypeError: { type: 'error', text: 'TypeError: x is not a function', errorName: 'TypeError' },
+  consoleError: { type: 'error', text: 'Widget failed to render' },
+  pageError: { type: 'pageerror', text: 'Script error.' },
+  rejection: { type: 'unhandledrejection', text: 'Error: fetch failed' },
+  warning: { type: 'warn', text: "'webkitURL' is deprecated. Please use 'URL' instead." },
+  cors: { type: 'error', text: "Access to fetch at 'https://api.example.net/' from origin 'https://www.salesforce.com' has been blocked by CORS policy" },
+  validation: { type: 'validation', text: 'Email: Enter a valid email address' },
+  network503: { type: 'network', text: 'HTTP 503 GET https://www.salesforce.com/api (fetch)', network: { url: 'https://www.salesforce.com/api', status: 503 } },
+  network404: { type: 'network', text: 'HTTP 404 GET https://cdn.example.net/a.js (script)', network: { url: 'https://cdn.example.net/a.js', status: 404 } },
+  networkFailure: { type: 'network', text: 'Request failed net::ERR_NAME_NOT_RESOLVED GET https://cdn.example.net/a.js (script)', network: { url: 'https://cdn.example.net/a.js', failure: 'net::ERR_NAME_NOT_RESOLVED' } }
+};
+
+test('specific error classes win over the third-party rule', () => {
+  assert.strictEqual(classify(findings.consoleReferenceError, 'third'), 'reference-error');
+  assert.strictEqual(classify(findings.pageTypeError, 'third'), 'type-error');
+  assert.strictEqual(classify(findings.hookTypeError, 'first'), 'type-error');
+  assert.strictEqual(classify(findings.consoleError, 'third'), 'third-party');
+  assert.strictEqual(classify(findings.pageError, 'third'), 'third-party');
+});
+
+test('first-party script errors without a known class are js-errors', () => {
+  assert.strictEqual(classify(findings.pageError, 'first'), 'js-error');
+  assert.strictEqual(classify(findings.rejection, 'first'), 'js-error');
+  assert.strictEqual(classify(findings.consoleError, 'first'), 'other');
+});
+
+test('finding types and text patterns are matched before error classes', () => {
+  assert.strictEqual(classify(findings.validation, 'first'), 'validation');
+  assert.strictEqual(classify(findings.network503, 'first'), 'network-5xx');
+  assert.strictEqual(classify(findings.network404, 'third'), 'network-4xx');
+  assert.strictEqual(classify(findings.networkFailure, 'third'), 'network-failure');
+  assert.strictEqual(classify(findings.cors, 'third'), 'cors');
+  assert.strictEqual(classify(findings.warning, 'first'), 'deprecation');
+});
+
+test('custom rules run before the defaults', () => {
+  const custom = new ErrorClassifier({ rules: [{ category: 'consent', textPattern: 'OneTrust', party: 'third' }] });
+  const error = { type: 'error', text: 'Uncaught ReferenceError: OneTrust is not defined' };
+  assert.strictEqual(classify(error, 'third', custom), 'consent');
+  assert.strictEqual(classify(error, 'first', custom), 'reference-error');
+});
+
+test('severity combines category weight, party factor and affected pages', () => {
+  assert.strictEqual(classifier.score('reference-error', 'first', 1), 70);
+  assert.strictEqual(classifier.score('third-party', 'third', 30), 57);
+  assert.strictEqual(classifier.score('js-error', 'unknown', 3), 60);
+  assert.strictEqual(classifier.score('unmapped-category', 'first', 0), 20);
+  assert.strictEqual(new ErrorClassifier({ weights: { 'js-error': 100 } }).score('js-error', 'first', 0), 100);
+});
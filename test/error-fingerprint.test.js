@@ -0,0 +1,45 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const ErrorFingerprinter = require('../error-fingerprint');
+
+test('IDs, URLs and numbers are masked', () => {
+  const fingerprinter = new ErrorFingerprinter();
+  assert.strictEqual(
+    fingerprinter.normalizeText('Uncaught TypeError: item 42 of https://cdn.example.com/a.js?v=3 failed for 123e4567-e89b-12d3-a456-426614174000\n    at x'),
+    'TypeError: item [NUMBER] of [URL] failed for [UUID]'
+  );
+  assert.strictEqual(fingerprinter.normalizeText('token deadbeefdeadbeef0123 expired'), 'token [HEX] expired');
+});
+
+test('custom rules replace every occurrence, whatever flags they come with', () => {
+  const fingerprinter = new ErrorFingerprinter({
+    rules: [
+      { pattern: 'sid=\\w+', replacement: 'sid=[ID]' },
+      { pattern: 'user \\w+', flags: 'i', replacement: 'user [NAME]' },
+      { pattern: /cart-\w+/, replacement: 'cart-[ID]' }
+    ]
+  });
+  assert.strictEqual(fingerprinter.normalizeText('sid=abc sid=def'), 'sid=[ID] sid=[ID]');
+  assert.strictEqual(fingerprinter.normalizeText('USER alice, user bob'), 'user [NAME], user [NAME]');
+  assert.strictEqual(fingerprinter.normalizeText('cart-a1 cart-b2'), 'cart-[ID] cart-[ID]');
+});
+
+test('the same error on another deploy gets the same fingerprint', () => {
+  const fingerprinter = new ErrorFingerprinter();
+  const stack = (hash, line) => `TypeError: x is undefined\n    at init (https://www.example.com/app.${hash}.js?v=1:${line}:10)`;
+  const first = fingerprinter.fingerprint({ type: 'pageerror', text: 'TypeError: x is undefined', stack: stack('0a1b2c3d4e', 10) });
+  const second = fingerprinter.fingerprint({ type: 'pageerror', text: 'TypeError: x is undefined', stack: stack('9f8e7d6c5b', 2000) });
+  assert.strictEqual(first.id, second.id);
+  assert.strictEqual(first.errorClass, 'TypeError');
+  assert.deepStrictEqual(first.frames, ['https://www.example.com/app.[HASH].js:init']);
+});
+
+test('only in-app frames count when inAppPatterns are set', () => {
+  const fingerprinter = new ErrorFingerprinter({ inAppPatterns: ['www\\.example\\.com'] });
+  const { frames } = fingerprinter.fingerprint({
+    type: 'pageerror',
+    text: 'ReferenceError: coveoua is not defined',
+    stack: 'ReferenceError: coveoua is not defined\n    at track (https://static.vendor.com/ua.js:1:5)\n    at https://www.example.com/site.js:4:2'
+  });
+  assert.deepStrictEqual(frames, ['https://www.example.com/site.js:<anonymous>']);
+});
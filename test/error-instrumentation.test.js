@@ -0,0 +1,47 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const ConsoleErrorMonitor = require('../monitor');
+
+const stack = 'TypeError: x is undefined\n    at init (https://www.example.com/app.js:10:5)';
+
+test('hook findings enrich the matching console or pageerror entry', () => {
+  const monitor = new ConsoleErrorMonitor();
+  const errors = [{ type: 'pageerror', text: 'x is undefined' }];
+  monitor.mergeInstrumentedErrors(errors, [{ kind: 'error', name: 'TypeError', message: 'x is undefined', stack, source: 'https://www.example.com/app.js', lineNumber: 10, columnNumber: 5 }]);
+
+  assert.strictEqual(errors.length, 1);
+  assert.strictEqual(errors[0].errorName, 'TypeError');
+  assert.strictEqual(errors[0].stack, stack);
+  assert.deepStrictEqual(errors[0].location, { url: 'https://www.example.com/app.js', lineNumber: 9, columnNumber: 4 });
+});
+
+test('unmatched hook findings are added', () => {
+  const monitor = new ConsoleErrorMonitor();
+  const errors = [];
+  monitor.mergeInstrumentedErrors(errors, [
+    { kind: 'unhandledrejection', name: 'Error', message: 'fetch failed', stack },
+    { kind: 'console.error', name: null, message: 'Widget failed to render', stack }
+  ]);
+
+  assert.deepStrictEqual(errors.map(e => [e.type, e.text]), [
+    ['unhandledrejection', 'Error: fetch failed'],
+    ['error', 'Widget failed to render']
+  ]);
+  assert.strictEqual(errors[1].location.url, 'https://www.example.com/app.js');
+});
+
+test('console.error findings the console listener would skip are not added', () => {
+  const monitor = new ConsoleErrorMonitor({ consoleFilters: ['Widget'] });
+  const errors = [];
+  monitor.mergeInstrumentedErrors(errors, [
+    { kind: 'console.error', name: null, message: 'Widget failed to render', stack },
+    { kind: 'console.error', name: null, message: 'Failed to load resource: the server responded with a status of 404 ()', stack },
+    { kind: 'console.error', name: null, message: 'Checkout failed', stack }
+  ]);
+  assert.deepStrictEqual(errors.map(e => e.text), ['Checkout failed']);
+
+  const infoOnly = new ConsoleErrorMonitor({ consoleLevels: ['info'] });
+  const none = [];
+  infoOnly.mergeInstrumentedErrors(none, [{ kind: 'console.error', name: null, message: 'Checkout failed', stack }]);
+  assert.deepStrictEqual(none, []);
+});
@@ -0,0 +1,38 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const ConsoleErrorMonitor = require('../monitor');
+
+function trendsData(html) {
+  return JSON.parse(html.match(/window\.TRENDS_DATA = (.*);/)[1]);
+}
+
+test('imported runs only link to HTML reports that exist', async (t) => {
+  t.mock.method(console, 'log', () => {});
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'reports-'));
+  const write = (name, content) => fs.writeFileSync(path.join(dir, name), content);
+  write('error-report-2025-11-12T08-00-00-000Z.json', JSON.stringify({ timestamp: '2025-11-12T08:00:00.000Z', pages: [] }));
+  write('error-report-2025-11-12T08-00-00-000Z.html', '<html></html>');
+  write('error-report-2025-11-25T08-00-00-000Z.json', JSON.stringify({ timestamp: '2025-11-25T08:00:00.000Z', pages: [] }));
+
+  const monitor = new ConsoleErrorMonitor({ outputDir: dir });
+  assert.strictEqual(await monitor.importHistory(), 2);
+
+  const runs = await monitor.history.readAll();
+  assert.deepStrictEqual(runs.map(run => run.report), ['error-report-2025-11-12T08-00-00-000Z.html', null]);
+  const { runs: points } = trendsData(fs.readFileSync(path.join(dir, 'trends.html'), 'utf-8'));
+  assert.deepStrictEqual(points.map(point => point.report), ['error-report-2025-11-12T08-00-00-000Z.html', null]);
+});
+
+test('trends.html drops links to reports that were removed since', async (t) => {
+  t.mock.method(console, 'log', () => {});
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'reports-'));
+  const monitor = new ConsoleErrorMonitor({ outputDir: dir });
+  await monitor.history.append({ runId: 'a', timestamp: '2025-11-04T12:04:12.402Z', report: 'error-report-2025-11-04T12-04-12-402Z.html', summary: {}, groups: [], pages: [] });
+
+  await monitor.writeTrendsReport();
+  const { runs: points } = trendsData(fs.readFileSync(path.join(dir, 'trends.html'), 'utf-8'));
+  assert.strictEqual(points[0].report, null);
+});
@@ -0,0 +1,52 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const HistoryStore = require('../history-store');
+
+async function tempStore(content) {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'history-'));
+  const filePath = path.join(dir, 'history.ndjson');
+  if (content !== undefined) await fs.writeFile(filePath, content);
+  return new HistoryStore(filePath);
+}
+
+test('readAll returns nothing when the file does not exist', async () => {
+  const store = await tempStore();
+  assert.deepStrictEqual(await store.readAll(), []);
+});
+
+test('readAll skips unreadable lines and records without a timestamp', async (t) => {
+  t.mock.method(console, 'warn', () => {});
+  const store = await tempStore([
+    JSON.stringify({ runId: 'b', timestamp: '2025-11-02T00:00:00.000Z' }),
+    '{"runId": "partial", "timest',
+    JSON.stringify({ runId: 'no-timestamp' }),
+    JSON.stringify({ runId: 'a', timestamp: '2025-11-01T00:00:00.000Z' })
+  ].join('\n'));
+
+  const runs = await store.readAll();
+  assert.deepStrictEqual(runs.map(run => run.runId), ['a', 'b']);
+  assert.deepStrictEqual(runs[0].groups, []);
+  assert.strictEqual(console.warn.mock.callCount(), 2);
+});
+
+test('append starts a new line after a partial last line', async (t) => {
+  t.mock.method(console, 'warn', () => {});
+  const store = await tempStore('{"runId": "crashed", "timest');
+  await store.append({ runId: 'next', timestamp: '2025-11-03T00:00:00.000Z' });
+
+  const runs = await store.readAll();
+  assert.deepStrictEqual(runs.map(run => run.runId), ['next']);
+});
+
+test('appendMissing only adds runs that are not recorded yet', async () => {
+  const store = await tempStore();
+  await store.append({ runId: 'a', timestamp: '2025-11-01T00:00:00.000Z' });
+  await store.appendMissing([
+    { runId: 'a', timestamp: '2025-11-01T00:00:00.000Z' },
+    { runId: 'b', timestamp: '2025-11-02T00:00:00.000Z' }
+  ]);
+  assert.deepStrictEqual((await store.readAll()).map(run => run.runId), ['a', 'b']);
+});
@@ -0,0 +1,73 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const ConsoleErrorMonitor = require('../monitor');
+
+function writeReport(report) {
+  const filePath = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'report-')), 'error-report.json');
+  fs.writeFileSync(filePath, JSON.stringify(report));
+  return filePath;
+}
+
+// An older report, from before the listener dropped HTTP and CSP console messages and blocked-request noise
+const oldReport = {
+  timestamp: '2025-11-12T08:00:00.000Z',
+  pages: [{
+    url: 'https://www.example.com/dk/',
+    success: true,
+    errors: [
+      { type: 'error', text: 'Failed to load resource: the server responded with a status of 404 ()' },
+      { type: 'error', text: "Refused to load the script 'https://x.example.net/a.js' because it violates the following Content Security Policy directive: \"script-src 'self'\"." },
+      { type: 'error', text: 'GET https://www.example.com/a.png net::ERR_FAILED' },
+      { type: 'info', text: 'Consent banner loaded' },
+      { type: 'error', text: 'Uncaught TypeError: Cannot read properties of undefined' },
+      { type: 'network', text: 'HTTP 404', network: { url: 'https://www.example.com/missing.js', status: 404 } }
+    ]
+  }]
+};
+
+test('old reports are read back through the current capture rules', async () => {
+  const monitor = new ConsoleErrorMonitor();
+  const previous = await monitor.loadPreviousRun(writeReport(oldReport));
+
+  assert.deepStrictEqual(Array.from(previous.groups.values()).map(group => group.errorText), [
+    'Uncaught TypeError: Cannot read properties of undefined',
+    'HTTP 404'
+  ]);
+  assert.strictEqual(previous.pages.get('https://www.example.com/dk/').signatures.size, 2);
+});
+
+test('consoleLevels decide which console message types old reports keep', async () => {
+  const monitor = new ConsoleErrorMonitor({ consoleLevels: ['error', 'info'], consoleFilters: [] });
+  const previous = await monitor.loadPreviousRun(writeReport(oldReport));
+  assert.deepStrictEqual(Array.from(previous.groups.values()).map(group => group.errorText), [
+    'GET https://www.example.com/a.png net::ERR_FAILED',
+    'Consent banner loaded',
+    'Uncaught TypeError: Cannot read properties of undefined',
+    'HTTP 404'
+  ]);
+});
+
+test('loadReport regroups the kept errors of v1 urlErrors reports', async (t) => {
+  t.mock.method(console, 'log', () => {});
+  const monitor = new ConsoleErrorMonitor();
+  await monitor.loadReport(writeReport({ timestamp: oldReport.timestamp, urlErrors: oldReport.pages }));
+
+  const page = monitor.pageErrors.get('https://www.example.com/dk/');
+  assert.strictEqual(page.errorCount, 2);
+  assert.strictEqual(monitor.errorGroups.size, 2);
+});
+
+test('isRecordedConsoleMessage applies filters, skipped duplicates and levels', () => {
+  const monitor = new ConsoleErrorMonitor();
+  assert.strictEqual(monitor.isRecordedConsoleMessage('error', 'Uncaught ReferenceError: x is not defined'), true);
+  assert.strictEqual(monitor.isRecordedConsoleMessage('warn', 'Deprecated API'), false);
+  assert.strictEqual(monitor.isRecordedConsoleMessage('warn', 'Cross-Origin Request Blocked: The Same Origin Policy'), true);
+  assert.strictEqual(monitor.isRecordedConsoleMessage('error', 'net::ERR_ABORTED'), false);
+
+  const custom = new ConsoleErrorMonitor({ consoleKeepPatterns: ['^\\[checkout\\]'] });
+  assert.strictEqual(custom.isRecordedConsoleMessage('warn', '[checkout] payment widget timed out'), true);
+  assert.strictEqual(custom.isRecordedConsoleMessage('warn', 'Cross-Origin Request Blocked: The Same Origin Policy'), false);
+});
@@ -0,0 +1,30 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const ConsoleErrorMonitor = require('../monitor');
+const SourceMapResolver = require('../source-map-resolver');
+
+test('groups first seen on a repeat visit get their sample error resolved', async (t) => {
+  t.mock.method(console, 'log', () => {});
+  t.mock.method(SourceMapResolver.prototype, 'resolveError', async error => {
+    error.resolvedStack = `${error.stack} (resolved)`;
+  });
+
+  const monitor = new ConsoleErrorMonitor({ sourceMaps: { fetch: false } });
+  const url = 'https://www.example.com/dk/';
+  const first = { type: 'pageerror', text: 'TypeError: a is undefined', stack: 'TypeError: a is undefined\n    at https://www.example.com/app.js:1:1' };
+  const later = { type: 'pageerror', text: 'TypeError: b is undefined', stack: 'TypeError: b is undefined\n    at https://www.example.com/app.js:2:1' };
+
+  // What processUrl does for the first and a repeat visit
+  monitor.pageErrors.set(url, { url, errors: [first], errorCount: 1 });
+  monitor.addToGroups(url, null, [first]);
+  monitor.mergeRepeatVisit(url, [first, later], 2);
+  monitor.addToGroups(url, null, [first, later]);
+
+  await monitor.resolveSourceMaps();
+
+  for (const group of monitor.errorGroups.values()) {
+    assert.match(group.sampleError.resolvedStack, /\(resolved\)$/, group.errorText);
+  }
+  assert.ok(monitor.pageErrors.get(url).errors.every(error => error.resolvedStack));
+  assert.strictEqual(SourceMapResolver.prototype.resolveError.mock.callCount(), 3);
+});
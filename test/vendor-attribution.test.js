@@ -0,0 +1,48 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const ConsoleErrorMonitor = require('../monitor');
+
+async function loadMonitor(t) {
+  t.mock.method(console, 'log', () => {});
+  const monitor = new ConsoleErrorMonitor({ baseUrls: ['https://www.salesforce.com'] });
+  await monitor.loadVendorMap();
+  return monitor;
+}
+
+const attribution = (monitor, error) => {
+  const { vendor, party } = monitor.attributeVendor(error);
+  return { vendor, party };
+};
+
+test('a vendor host decides before the message text', async (t) => {
+  const monitor = await loadMonitor(t);
+  assert.deepStrictEqual(attribution(monitor, {
+    type: 'error',
+    text: 'Uncaught ReferenceError: gtag is not defined',
+    location: { url: 'https://static.cloud.coveo.com/searchui/v2.10/js/CoveoJsSearch.min.js' }
+  }), { vendor: 'Coveo', party: 'third' });
+});
+
+test('text patterns win over a first-party location', async (t) => {
+  const monitor = await loadMonitor(t);
+  assert.deepStrictEqual(attribution(monitor, {
+    type: 'pageerror',
+    text: 'ReferenceError: coveoua is not defined',
+    stack: 'ReferenceError: coveoua is not defined\n    at https://www.salesforce.com/dk/form/signup/:120:5'
+  }), { vendor: 'Coveo', party: 'third' });
+});
+
+test('text patterns name the vendor of errors without a URL', async (t) => {
+  const monitor = await loadMonitor(t);
+  assert.deepStrictEqual(attribution(monitor, { type: 'error', text: 'ReferenceError: coveoua is not defined' }), { vendor: 'Coveo', party: 'third' });
+  assert.deepStrictEqual(attribution(monitor, { type: 'error', text: 'Something failed' }), { vendor: 'Unknown', party: 'unknown' });
+});
+
+test('first-party and unknown hosts', async (t) => {
+  const monitor = await loadMonitor(t);
+  assert.strictEqual(monitor.attributeVendor({ type: 'error', text: 'Checkout failed', location: { url: 'https://www.salesforce.com/dk/' } }).party, 'first');
+  assert.deepStrictEqual(monitor.attributeVendor({ type: 'error', text: 'coveoua is not defined', location: { url: 'https://cdn.example.net/x.js' } }),
+    { vendor: 'cdn.example.net', party: 'third', origin: 'cdn.example.net' });
+  // Mentioning a vendor is not the "X is not" form
+  assert.strictEqual(monitor.attributeVendor({ type: 'error', text: 'Failed to send data to coveoua', location: { url: 'https://www.salesforce.com/dk/' } }).party, 'first');
+});
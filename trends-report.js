@@ -0,0 +1,199 @@
+// Renders trends.html from the run history (see history-store.js). Like the error reports it is a single
+// static file: the data is embedded and the charts are drawn as inline SVG, so it works from disk or as an
+// attachment. Every data point links to the HTML report of its run, which sits in the same directory.
+
+const METRICS = [
+  { key: 'totalErrors', label: 'Total errors', color: '#dc2626' },
+  { key: 'uniqueErrors', label: 'Unique errors', color: '#2563eb' },
+  { key: 'failedPages', label: 'Failed pages', color: '#ef4444' },
+  { key: 'pagesWithErrors', label: 'Pages with errors', color: '#f59e0b' }
+];
+
+function buildTrendsData(runs, maxGroups = 100) {
+  const groups = new Map();
+  runs.forEach((run, index) => {
+    run.groups.forEach(group => {
+      if (!groups.has(group.signature)) {
+        groups.set(group.signature, { sig: group.signature, text: group.errorText, total: 0, series: new Array(runs.length).fill(0) });
+      }
+      const entry = groups.get(group.signature);
+      entry.total += group.occurrences;
+      entry.series[index] = group.occurrences;
+    });
+  });
+
+  return {
+    runs: runs.map(run => {
+      const locales = {};
+      run.pages.forEach(page => {
+        const key = page.locale || 'unknown';
+        if (!locales[key]) locales[key] = { errors: 0, withErrors: 0, failed: 0 };
+        locales[key].errors += page.errorCount;
+        if (page.errorCount > 0) locales[key].withErrors++;
+        if (page.status === 'failed') locales[key].failed++;
+      });
+      return { t: run.timestamp, report: run.report, s: run.summary, loc: locales };
+    }),
+    metrics: METRICS,
+    // Groups still present in the latest run first, then by total occurrences
+    groups: Array.from(groups.values())
+      .sort((a, b) => (b.series[runs.length - 1] > 0) - (a.series[runs.length - 1] > 0) || b.total - a.total)
+      .slice(0, maxGroups),
+    totalGroups: groups.size,
+    generated: new Date().toLocaleString()
+  };
+}
+
+function renderTrendsHtml(runs) {
+  const data = buildTrendsData(runs);
+
+  return `
+<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <title>Console Error Trends</title>
+  <style>
+    :root { --primary: #667eea; --secondary: #764ba2; --bg: #f5f5f5; --white: #fff; --border: #e0e0e0; }
+    * { margin: 0; padding: 0; box-sizing: border-box; }
+    body { font-family: system-ui, -apple-system, sans-serif; background: var(--bg); color: #333; line-height: 1.5; padding: 20px; }
+    .container { max-width: 1400px; margin: 0 auto; background: var(--white); border-radius: 8px; box-shadow: 0 4px 6px rgba(0,0,0,0.1); overflow: hidden; }
+    header { background: linear-gradient(135deg, var(--primary), var(--secondary)); color: var(--white); padding: 25px; }
+    h1 { font-size: 1.8rem; margin-bottom: 10px; }
+    h2 { font-size: 1.2rem; margin-bottom: 15px; }
+    section { padding: 20px; border-bottom: 1px solid var(--border); }
+    .charts { display: grid; grid-template-columns: repeat(auto-fit, minmax(320px, 1fr)); gap: 20px; }
+    .chart { border: 1px solid var(--border); border-radius: 6px; padding: 10px; }
+    .chart-title { font-size: 0.85rem; color: #666; text-transform: uppercase; letter-spacing: 0.5px; }
+    .chart-value { font-size: 1.6rem; font-weight: bold; }
+    svg a circle:hover { r: 5; }
+    .data-table { width: 100%; border-collapse: collapse; font-size: 0.9rem; }
+    .data-table th, .data-table td { border: 1px solid #e2e8f0; padding: 6px 8px; text-align: left; vertical-align: middle; }
+    .data-table th { background: #f8fafc; font-weight: 600; }
+    .data-table tr:nth-child(even) { background: #f8fafc; }
+    .err-text { font-family: monospace; font-size: 0.85rem; color: #dc2626; word-break: break-word; }
+    .note { color: #666; font-size: 0.85rem; margin-bottom: 10px; }
+  </style>
+</head>
+<body>
+  <div class="container">
+    <header>
+      <h1>📈 Console Error Trends</h1>
+      <div id="header-meta"></div>
+    </header>
+    <section>
+      <h2>Runs over time</h2>
+      <div class="note">Click a point to open that run's report.</div>
+      <div class="charts" id="charts"></div>
+    </section>
+    <section>
+      <h2>By locale</h2>
+      <table class="data-table">
+        <thead><tr><th>Locale</th><th>Errors (latest)</th><th>Pages with errors (latest)</th><th>Failed (latest)</th><th>Errors over time</th></tr></thead>
+        <tbody id="locales-body"></tbody>
+      </table>
+    </section>
+    <section>
+      <h2>Error groups</h2>
+      <div class="note" id="groups-note"></div>
+      <table class="data-table">
+        <thead><tr><th>Error</th><th>Occurrences</th><th>Runs seen</th><th>Occurrences over time</th></tr></thead>
+        <tbody id="groups-body"></tbody>
+      </table>
+    </section>
+  </div>
+
+  <script>
+    window.TRENDS_DATA = ${JSON.stringify(data).replace(/</g, '\\u003c')};
+  </script>
+
+  <script>
+    const app = {
+      data: window.TRENDS_DATA,
+
+      init() {
+        const runs = this.data.runs;
+        document.getElementById('header-meta').textContent = runs.length
+          ? \`📅 Generated: \${this.data.generated} · \${runs.length} runs from \${new Date(runs[0].t).toLocaleString()} to \${new Date(runs[runs.length - 1].t).toLocaleString()}\`
+          : 'No runs recorded yet';
+        this.renderCharts();
+        this.renderLocales();
+        this.renderGroups();
+      },
+
+      // Line chart as inline SVG; each point links to its run's report
+      chart(values, { width, height, color, label }) {
+        const runs = this.data.runs;
+        const max = Math.max(1, ...values);
+        const pad = 4;
+        const x = i => pad + (values.length > 1 ? i * (width - 2 * pad) / (values.length - 1) : (width - 2 * pad) / 2);
+        const y = v => height - pad - v * (height - 2 * pad) / max;
+        const points = values.map((v, i) => \`\${x(i).toFixed(1)},\${y(v).toFixed(1)}\`).join(' ');
+        const dots = values.map((v, i) => {
+          const title = \`\${new Date(runs[i].t).toLocaleString()}: \${v} \${label}\`;
+          const circle = \`<circle cx="\${x(i).toFixed(1)}" cy="\${y(v).toFixed(1)}" r="\${height > 40 ? 3 : 2}" fill="\${color}"><title>\${this.escape(title)}</title></circle>\`;
+          return runs[i].report ? \`<a href="\${encodeURI(runs[i].report)}" target="_blank">\${circle}</a>\` : circle;
+        }).join('');
+        return \`<svg width="\${width}" height="\${height}" viewBox="0 0 \${width} \${height}"><polyline points="\${points}" fill="none" stroke="\${color}" stroke-width="1.5"/>\${dots}</svg>\`;
+      },
+
+      renderCharts() {
+        const runs = this.data.runs;
+        document.getElementById('charts').innerHTML = this.data.metrics.map(m => {
+          const values = runs.map(r => r.s[m.key] || 0);
+          return \`
+            <div class="chart">
+              <div class="chart-title">\${m.label}</div>
+              <div class="chart-value" style="color:\${m.color}">\${values.length ? values[values.length - 1] : 0}</div>
+              \${this.chart(values, { width: 320, height: 120, color: m.color, label: m.label.toLowerCase() })}
+            </div>
+          \`;
+        }).join('');
+      },
+
+      renderLocales() {
+        const runs = this.data.runs;
+        const latest = runs.length ? runs[runs.length - 1].loc : {};
+        const locales = Array.from(new Set(runs.flatMap(r => Object.keys(r.loc)))).sort();
+        document.getElementById('locales-body').innerHTML = locales.map(locale => {
+          const now = latest[locale] || { errors: 0, withErrors: 0, failed: 0 };
+          const values = runs.map(r => r.loc[locale] ? r.loc[locale].errors : 0);
+          return \`
+            <tr>
+              <td>\${this.escape(locale)}</td>
+              <td>\${now.errors}</td>
+              <td>\${now.withErrors}</td>
+              <td>\${now.failed}</td>
+              <td>\${this.chart(values, { width: 240, height: 30, color: '#667eea', label: 'errors' })}</td>
+            </tr>
+          \`;
+        }).join('');
+      },
+
+      renderGroups() {
+        document.getElementById('groups-note').textContent =
+          \`Showing \${this.data.groups.length} of \${this.data.totalGroups} groups: those in the latest run first, then by total occurrences.\`;
+        document.getElementById('groups-body').innerHTML = this.data.groups.map(g => \`
+          <tr>
+            <td class="err-text">\${this.escape(g.text)}</td>
+            <td>\${g.total}</td>
+            <td>\${g.series.filter(v => v > 0).length}</td>
+            <td>\${this.chart(g.series, { width: 240, height: 30, color: '#dc2626', label: 'occurrences' })}</td>
+          </tr>
+        \`).join('');
+      },
+
+      escape(str) {
+        if (!str) return '';
+        return str.replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;").replace(/"/g, "&quot;").replace(/'/g, "&#039;");
+      }
+    };
+
+    app.init();
+  </script>
+</body>
+</html>`;
+}
+
+module.exports = { buildTrendsData, renderTrendsHtml };